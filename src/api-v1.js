@@ -4,22 +4,296 @@ let taskcluster = require('taskcluster-client');
 let _ = require('lodash');
 let delayer = require('./delayer');
 let validateUrl = require('./validate-url');
+let prefetch = require('./prefetch');
+let bulkPurge = require('./bulk-purge');
 
 let GENERIC_ID_PATTERN = /^[a-zA-Z0-9-_]{1,22}$/;
 
+/**
+ * Headers which describe the stored object that we redirect to, so that
+ * clients know what they'll get before following the redirect
+ */
+function objectHeaders(object) {
+  let headers = {};
+  if (typeof object.size === 'number') {
+    headers['X-Cloud-Mirror-Size'] = String(object.size);
+  }
+  if (object.contentType) {
+    headers['X-Cloud-Mirror-Content-Type'] = object.contentType;
+  }
+  if (object.etag) {
+    headers['X-Cloud-Mirror-Upstream-ETag'] = object.etag;
+  }
+  if (object.finalUrl) {
+    headers['X-Cloud-Mirror-Upstream-Url'] = object.finalUrl;
+  }
+  if (object.storedAt) {
+    headers['X-Cloud-Mirror-Stored'] = object.storedAt.toISOString();
+  }
+  if (object.expires) {
+    headers['X-Cloud-Mirror-Expires'] = object.expires.toISOString();
+  }
+  return headers;
+}
+
+/**
+ * Response of the status endpoints for what CacheManager.getStatus() of
+ * backend tells about url
+ */
+function statusResponse(backend, url, status) {
+  let response = _.assign({
+    service: backend.storageProvider.service,
+    region: backend.storageProvider.region,
+    url: url,
+    worldAddress: status.url,
+  }, _.omit(status, 'url'));
+  if (status.object) {
+    response.object = _.mapValues(status.object, x => x instanceof Date ? x.toISOString() : x);
+  }
+  return response;
+}
+
+/**
+ * Find the cache managers for a list of {service, region} objects from a
+ * request, or all of them for 'all'.  If a region isn't known, it is
+ * returned as unknown instead
+ */
+function selectBackends(cacheManagers, regions) {
+  if (regions === 'all') {
+    return {backends: cacheManagers};
+  }
+  let backends = [];
+  for (let {service, region} of regions) {
+    let backend = _.find(cacheManagers, x => x.id === `${service}_${region}`);
+    if (!backend) {
+      return {unknown: {service, region}};
+    }
+    backends.push(backend);
+  }
+  return {backends: _.uniq(backends)};
+}
+
+/**
+ * Check the scopes of an endpoint with deferred authentication for each of
+ * the backends.  This replies with an error and returns false if one of them
+ * isn't satisfied
+ */
+function satisfiesBackends(req, backends) {
+  return backends.every(backend => req.satisfies({
+    service: backend.storageProvider.service,
+    region: backend.storageProvider.region,
+  }));
+}
+
+/**
+ * Redirect to the copy of url in the region of backend, requesting a copy if
+ * there is none and waiting for it for a while.  This is the body of the
+ * redirect endpoints, and is called with their context as this
+ */
+async function serveRedirect(req, res, backend, url) {
+  let service = backend.storageProvider.service;
+  let region = backend.storageProvider.region;
+  let logthingy = `${url} in ${service}/${region}`;
+
+  let maxWait = this.maxWaitForCachedCopy;
+  let startTime = new Date();
+  let validated = false;
+  let result;
+
+  do {
+    let startTime = new Date();
+    let start = process.hrtime();
+    result = await backend.getUrlForRedirect(url);
+
+    // Copying has failed retry.maxAttempts times and won't be retried until
+    // the next retry is due.  There's no point in making the client wait, and
+    // asking upstream again would only add load to an origin which is failing.
+    // Before that, we wait for the retry like for any other copy
+    if (result.status === 'error' && result.retriesExhausted) {
+      debug(`${logthingy} failed ${result.attempts} times, redirecting to uncached copy`);
+      this.monitor.count(`${service}.${region}.redirect-original-failing`, 1);
+      return res.status(302).location(url).json({
+        url: url,
+        msg: `Copying failed ${result.attempts} times, not retrying until ${result.nextRetry}`,
+      });
+    }
+
+    // We only want to do validation a single time.  Since we need to use a value
+    // that's fetched inside the do-while-loop, we remember whether we did
+    // instead of a more complicated structure
+    if (!validated && (result.status === 'absent' || result.status === 'error')) {
+      validated = true;
+      try {
+        let finalUrl = await validateUrl({
+          url: url,
+          allowedPatterns: this.allowedPatterns,
+          maxSize: this.maxSize,
+          ensureSSL: this.ensureSSL,
+        });
+      } catch (err) {
+        // Returning here means that nothing is requested from the backend,
+        // which matters most for resources which are too large to copy
+        if (err.code === 'BadHTTPStatus' || err.code === 'InvalidUrl' || err.code === 'TooLarge') {
+          // Client errors are remembered so that retries of a missing
+          // resource don't all end up asking upstream
+          if (err.code === 'BadHTTPStatus') {
+            await backend.insertNotFound(url, err.statusCode, err.headers);
+          }
+          return res.status(err.statusCode).json({
+            msg: err.message,
+            err: err.code,
+          });
+        }
+      }
+
+      // TODO: Should only status === 'error' be considered a miss?  A file
+      // that's never been requested before could never be in the cache, so
+      // it not being there really is not an error case
+      this.monitor.count(`${service}.${region}.cache-miss`, 1);
+      this.monitor.count('cache-miss', 1);
+    }
+
+    if (result.status === 'present') {
+      debug(`${logthingy} is present`);
+
+      let d = process.hrtime(start);
+
+      let duration = d[0] * 1000 + d[1] / 1000000;
+      this.monitor.measure(`${service}.${region}.cache-hit.duration-ms`, duration);
+      this.monitor.count(`${service}.${region}.cache-hit`, 1);
+      this.monitor.count('cache-hit', 1);
+      return res.status(302).location(result.url).set(objectHeaders(result.object)).json({
+        status: result.status,
+        url: result.url,
+        object: result.object,
+      });
+    } else if (result.status === 'stale') {
+      debug(`${logthingy} is stale for ${result.staleFor}s, redirecting while revalidating`);
+      if (!result.revalidating) {
+        await backend.requestPut(url);
+      }
+      this.monitor.count(`${service}.${region}.stale-hit`, 1);
+      this.monitor.count('stale-hit', 1);
+      let headers = _.assign(objectHeaders(result.object), {
+        'X-Cloud-Mirror-Stale': String(result.staleFor),
+      });
+      return res.status(302).location(result.url).set(headers).json({
+        status: result.status,
+        url: result.url,
+        object: result.object,
+        staleFor: result.staleFor,
+      });
+    } else if (result.status === 'not-found') {
+      debug(`${logthingy} was not found upstream recently`);
+      this.monitor.count(`${service}.${region}.not-found`, 1);
+      return res.status(result.statusCode).json({
+        msg: 'Unexpected HTTP Status: ' + result.statusCode,
+        err: 'BadHTTPStatus',
+        headers: result.headers,
+      });
+    } else if (result.status === 'pending') {
+      // Do nothing for pending operations
+    } else if (result.status === 'absent') {
+      debug(`${logthingy} is absent, requesting`);
+      await backend.requestPut(url);
+    } else if (result.status === 'error') {
+      debug(`${logthingy} had error, retrying request.  Backend stack: ${result.stack}`);
+      await backend.requestPut(url);
+      this.monitor.reportError(result.stack);
+      this.monitor.count(`${service}.${region}.cache-error`, 1);
+    } else {
+      debug(`[alert-opereator] ${logthingy} invalid status: ${result.status}`);
+    }
+    await delayer(1000);
+  } while (new Date() - startTime < maxWait);
+
+  // If we get here, we're doing the fallback of redirecting
+  // to the original URL because the caching took too long
+  debug(`[alert-operator] Redirecting to uncached copy because it took too long ${url}`);
+
+  this.monitor.count(`${service}.${region}.redirect-original`, 1);
+
+  // The progress of the copy tells the client whether it's worth coming
+  // back for the cached copy
+  return res.status(302).location(url).json({
+    url: url,
+    msg: `Cached copy did not show up in ${maxWait/1000}s`,
+    progress: result.progress,
+  });
+}
+
 let api = new API({
   title: 'Cloud Mirror API',
   description: 'Service to duplicate URLs from various cloud providers',
-  schemaPrefix: 'http://schemas.taskcluster.net/s3-distribute/v1/',
+  schemaPrefix: 'http://schemas.taskcluster.net/cloud-mirror/v1/',
   params: {
     taskId: GENERIC_ID_PATTERN,
     runId: GENERIC_ID_PATTERN,
     name: GENERIC_ID_PATTERN,
+    batchId: GENERIC_ID_PATTERN,
+    jobId: GENERIC_ID_PATTERN,
   },
 });
 
 module.exports = api;
 
+// This is declared before the redirect endpoint so that 'auto' isn't taken
+// for the name of a service
+api.declare({
+  method: 'get',
+  route: '/redirect/auto/:url/:error?',
+  name: 'redirectAuto',
+  title: 'Redirect to backing cache of the best region',
+  description: [
+    'Redirect to the copy of :url in the region which is best for',
+    'the caller, like the redirect endpoint does for a given region',
+    '',
+    'The region is the one named by the region hint header, if',
+    'configured, as service/region or only the region.  Otherwise it',
+    'is the region that the address of the caller belongs to',
+    'according to the IP ranges of the clouds, or the default region.',
+    'The region that was chosen is in the X-Cloud-Mirror-Region header',
+    '',
+    'NOTE: URL parameter must be URL Encoded!',
+    '',
+    'NOTE: If using this with an api-reference consuming client',
+    'you will need to pass error as an empty string!',
+  ].join('\n'),
+}, async function (req, res) {
+  let url = req.params.url;
+  let error = req.params.error;
+
+  // See comment in the redirect message to explain this parameter
+  if (error) {
+    this.monitor.count('url-not-url-encoded', 1);
+    return res.reportError(
+        'InputError',
+        'URL Must be URL Encoded!',
+        {url, error}
+    );
+  }
+
+  let selection = this.regionSelector.select({headers: req.headers, ip: req.ip});
+  if (!selection) {
+    debug(`no region could be chosen for ${req.ip}`);
+    this.monitor.count('region-selection.none', 1);
+    return res.reportError(
+        'ResourceNotFound',
+        'No region could be chosen for the caller and there is no default region',
+        {url}
+    );
+  }
+
+  let {backend, reason} = selection;
+  let {service, region} = backend.storageProvider;
+  debug(`chose ${service}/${region} for ${req.ip} by ${reason}`);
+  this.monitor.count(`region-selection.${reason}`, 1);
+  this.monitor.count(`${service}.${region}.region-selection`, 1);
+  res.set('X-Cloud-Mirror-Region', `${service}/${region}`);
+
+  return serveRedirect.call(this, req, res, backend, url);
+});
+
 api.declare({
   method: 'get',
   // Note that the Error parameter is only here to check for improperly
@@ -39,6 +313,23 @@ api.declare({
     'backend process to copy into that region and wait to respond',
     'here until that happens',
     '',
+    'Redirects to a copy describe it in X-Cloud-Mirror-* headers',
+    'and in the response body, as far as it is known',
+    '',
+    'Resources which are larger than the configured maximum size',
+    'are rejected with a 413 status without being copied',
+    '',
+    'If the copy takes too long, the response redirects to :url',
+    'and tells how far the copy has got',
+    '',
+    'Client errors like 404 from upstream are answered with the',
+    'same status for a few minutes without asking upstream again',
+    '',
+    'For urls which allow it, an expired copy which is still stored',
+    'is redirected to straight away while a new copy is made.  These',
+    'redirects have an X-Cloud-Mirror-Stale header with the number',
+    'of seconds that the copy has been stale for',
+    '',
     'NOTE: URL parameter must be URL Encoded!',
     '',
     'NOTE: If using this with an api-reference consuming client',
@@ -63,8 +354,6 @@ api.declare({
     );
   }
 
-  let logthingy = `${url} in ${service}/${region}`;
-
   // This is the ID that we need to find a backend for
   let incomingId = `${service}_${region}`;
   
@@ -84,82 +373,7 @@ api.declare({
         {url, region, service}
     );
   } else {
-    let backend = backends[0];
-    let maxWait = this.maxWaitForCachedCopy;
-    let startTime = new Date();
-    let x = 0;
-    let result;
-
-    do {
-      let startTime = new Date();
-      let start = process.hrtime();
-      result = await backend.getUrlForRedirect(url);
-      // We only want to do validation a single time.  Since we need to use a value
-      // that's fetched inside the do-while-loop, I decided to check for the first iteration
-      // instead of a more complicated structure
-
-      if (x === 0 && (result.status === 'absent' || result.status === 'error')) {
-        try {
-          let finalUrl = await validateUrl({
-            url: url,
-            allowedPatterns: this.allowedPatterns,
-            ensureSSL: this.ensureSSL,
-          });
-        } catch (err) {
-          if (err.code === 'BadHTTPStatus' || err.code === 'InvalidUrl') {
-            return res.status(err.statusCode).json({
-              msg: err.message,
-              err: err.code,
-            });
-          }
-        }
-
-        // TODO: Should only status === 'error' be considered a miss?  A file
-        // that's never been requested before could never be in the cache, so
-        // it not being there really is not an error case
-        this.monitor.count(`${service}.${region}.cache-miss`, 1);
-        this.monitor.count('cache-miss', 1);
-      }
-
-      if (result.status === 'present') {
-        debug(`${logthingy} is present`);
-
-        let d = process.hrtime(start);
-
-        let duration = d[0] * 1000 + d[1] / 1000000;
-        this.monitor.measure(`${service}.${region}.cache-hit.duration-ms`, duration);
-        this.monitor.count(`${service}.${region}.cache-hit`, 1);
-        this.monitor.count('cache-hit', 1);
-        return res.status(302).location(result.url).json({
-          status: result.status,
-          url: result.url,
-        });
-      } else if (result.status === 'pending') {
-        // Do nothing for pending operations
-      } else if (result.status === 'absent') {
-        debug(`${logthingy} is absent, requesting`);
-        backend.requestPut(url);
-      } else if (result.status === 'error') {
-        debug(`${logthingy} had error, retrying request.  Backend stack: ${result.stack}`);
-        backend.requestPut(url);
-        this.monitor.reportError(result.stack);
-        this.monitor.count(`${service}.${region}.cache-error`, 1);
-      } else {
-        debug(`[alert-opereator] ${logthingy} invalid status: ${result.status}`);
-      }
-      await delayer(1000);
-    } while (new Date() - startTime < maxWait);
-
-    // If we get here, we're doing the fallback of redirecting
-    // to the original URL because the caching took too long
-    debug(`[alert-operator] Redirecting to uncached copy because it took too long ${url}`);
-
-    this.monitor.count(`${service}.${region}.redirect-original`, 1);
-
-    return res.status(302).location(url).json({
-      url: url,
-      msg: `Cached copy did not show up in ${maxWait/1000}s`,
-    });
+    return serveRedirect.call(this, req, res, backends[0], url);
   }
 });
 
@@ -227,6 +441,346 @@ api.declare({
   return res.status(204).send();
 });
 
+api.declare({
+  method: 'post',
+  route: '/purge-jobs',
+  name: 'bulkPurge',
+  input: 'bulk-purge-request.json',
+  output: 'bulk-purge-job-response.json',
+  deferAuth: true,
+  scopes: [['cloud-mirror:purge:<service>:<region>']],
+  title: 'Purge many resources from backing caches',
+  description: [
+    'Start a job which purges every url that starts with the prefix',
+    'and matches the pattern from each of the regions, like the purge',
+    'endpoint does it.  Urls are found from their cache entries and,',
+    'if listObjects is set, by listing the stored objects.  A dry run',
+    'only finds the urls',
+    '',
+    'The response is the state of the job, which the bulkPurgeJob',
+    'endpoint keeps telling along with the urls that were purged,',
+    'as far as they are recorded',
+    '',
+    'Patterns are limited in length and must not have quantified',
+    'groups which contain quantifiers or alternations, like `(a+)+`',
+    'or `(a|aa)+`',
+    '',
+    'Every region requires its own scope',
+  ].join('\n'),
+}, async function (req, res) {
+  let {prefix, pattern, regions, dryRun, listObjects} = req.body;
+
+  let regexp;
+  if (pattern) {
+    try {
+      regexp = bulkPurge.compilePattern(pattern);
+    } catch (err) {
+      return res.reportError(
+          'InputError',
+          'Invalid pattern: ' + err.message,
+          {pattern}
+      );
+    }
+  }
+
+  let {backends, unknown} = selectBackends(this.cacheManagers, regions);
+  if (unknown) {
+    return res.reportError(
+        'ResourceNotFound',
+        'service or region not found',
+        unknown
+    );
+  }
+
+  if (!satisfiesBackends(req, backends)) {
+    return;
+  }
+
+  let {jobId} = await bulkPurge.startPurgeJob({
+    cacheManagers: backends,
+    store: this.metadataStore,
+    prefix,
+    pattern: regexp,
+    dryRun,
+    listObjects,
+    clientId: await req.clientId(),
+    pageSize: this.bulkPurge.pageSize,
+    maxRecordedUrls: this.bulkPurge.maxRecordedUrls,
+    ttl: this.bulkPurge.jobTTL,
+    monitor: this.monitor,
+  });
+  return res.reply(await bulkPurge.readJob({jobId, store: this.metadataStore}));
+});
+
+api.declare({
+  method: 'get',
+  route: '/purge-jobs/:jobId',
+  name: 'bulkPurgeJob',
+  output: 'bulk-purge-job-response.json',
+  deferAuth: true,
+  scopes: [['cloud-mirror:purge:<service>:<region>']],
+  title: 'State of a bulk purge job',
+  description: [
+    'Tell how far a job started by the bulkPurge endpoint has got',
+    'and which urls it purged, or found if it is a dry run, as far as',
+    'they are recorded.  Jobs',
+    'are only kept for a limited time, a week by default',
+    '',
+    'Like starting the job, this requires the scope of every region',
+    'that the job purges',
+  ].join('\n'),
+}, async function (req, res) {
+  let jobId = req.params.jobId;
+
+  let job = await bulkPurge.readJob({jobId, store: this.metadataStore});
+  if (!job) {
+    return res.reportError(
+        'ResourceNotFound',
+        'purge job not found',
+        {jobId}
+    );
+  }
+
+  // The record tells who purged which urls, so it's only for those who
+  // could have started the job
+  if (!job.regions.every(({service, region}) => req.satisfies({service, region}))) {
+    return;
+  }
+  return res.reply(job);
+});
+
+api.declare({
+  method: 'get',
+  // See the comment on the redirect endpoint for the Error parameter
+  route: '/status/:service/:region/:url/:error?',
+  name: 'status',
+  output: 'status-response.json',
+  title: 'Status of a resource in a backing cache',
+  description: [
+    'Tell what the redirect endpoint would find for :url in',
+    ':region, along with the address of the copy and how long',
+    'its cache entry has left.  Unlike the redirect endpoint,',
+    'this never requests a copy or waits for one',
+    '',
+    'NOTE: URL parameter must be URL Encoded!',
+  ].join('\n'),
+}, async function (req, res) {
+  let url = req.params.url;
+  let region = req.params.region;
+  let service = req.params.service;
+  let error = req.params.error;
+
+  // See comment in the redirect message to explain this parameter
+  if (error) {
+    return res.reportError(
+        'InputError',
+        'URL Must be URL Encoded!',
+        {url, error}
+    );
+  }
+
+  let incomingId = `${service}_${region}`;
+  let backend = _.find(this.cacheManagers, x => x.id === incomingId);
+  if (!backend) {
+    debug(`${incomingId} is not known`);
+    return res.reportError(
+        'ResourceNotFound',
+        'service or region not found',
+        {url, region, service}
+    );
+  }
+
+  let status = await backend.getStatus(url);
+  return res.reply(statusResponse(backend, url, status));
+});
+
+api.declare({
+  method: 'get',
+  // See the comment on the redirect endpoint for the Error parameter
+  route: '/status-all/:url/:error?',
+  name: 'statusAllRegions',
+  output: 'all-regions-status-response.json',
+  title: 'Status of a resource in all backing caches',
+  description: [
+    'Tell what the status endpoint would for :url in every',
+    'region that is configured',
+    '',
+    'NOTE: URL parameter must be URL Encoded!',
+  ].join('\n'),
+}, async function (req, res) {
+  let url = req.params.url;
+  let error = req.params.error;
+
+  // See comment in the redirect message to explain this parameter
+  if (error) {
+    return res.reportError(
+        'InputError',
+        'URL Must be URL Encoded!',
+        {url, error}
+    );
+  }
+
+  let regions = await Promise.all(this.cacheManagers.map(async backend => {
+    return statusResponse(backend, url, await backend.getStatus(url));
+  }));
+  return res.reply({url, regions});
+});
+
+api.declare({
+  method: 'post',
+  route: '/prefetch',
+  name: 'prefetch',
+  input: 'prefetch-request.json',
+  output: 'prefetch-response.json',
+  deferAuth: true,
+  scopes: [['cloud-mirror:prefetch:<service>:<region>']],
+  title: 'Copy resources into backing caches ahead of demand',
+  description: [
+    'Validate each of the urls like the redirect endpoint does and',
+    'request a copy in each of the regions which doesn\'t have it',
+    'yet, without waiting for the copies.  The response tells what',
+    'happened to each url and has the id of the batch, which the',
+    'prefetchProgress endpoint tells the progress of',
+    '',
+    'Every region requires its own scope',
+  ].join('\n'),
+}, async function (req, res) {
+  let urls = req.body.urls;
+  let regions = req.body.regions;
+
+  if (urls.length > this.prefetch.maxUrls) {
+    return res.reportError(
+        'InputError',
+        `At most ${this.prefetch.maxUrls} urls can be prefetched at a time`,
+        {count: urls.length}
+    );
+  }
+
+  let {backends, unknown} = selectBackends(this.cacheManagers, regions);
+  if (unknown) {
+    return res.reportError(
+        'ResourceNotFound',
+        'service or region not found',
+        unknown
+    );
+  }
+
+  if (!satisfiesBackends(req, backends)) {
+    return;
+  }
+
+  let result = await prefetch.prefetch({
+    urls,
+    cacheManagers: backends,
+    store: this.metadataStore,
+    allowedPatterns: this.allowedPatterns,
+    maxSize: this.maxSize,
+    ensureSSL: this.ensureSSL,
+    concurrency: this.prefetch.concurrency,
+    ttl: this.prefetch.batchTTL,
+    monitor: this.monitor,
+  });
+  return res.reply(result);
+});
+
+api.declare({
+  method: 'get',
+  route: '/prefetch/:batchId',
+  name: 'prefetchProgress',
+  output: 'prefetch-progress-response.json',
+  title: 'Progress of a prefetch batch',
+  description: [
+    'Count the copies of a batch requested by the prefetch endpoint',
+    'by their status.  Batches are only kept for a limited time,',
+    'a day by default',
+  ].join('\n'),
+}, async function (req, res) {
+  let batchId = req.params.batchId;
+
+  let progress = await prefetch.batchProgress({
+    batchId,
+    cacheManagers: this.cacheManagers,
+    store: this.metadataStore,
+  });
+  if (!progress) {
+    return res.reportError(
+        'ResourceNotFound',
+        'prefetch batch not found',
+        {batchId}
+    );
+  }
+  return res.reply(progress);
+});
+
+api.declare({
+  method: 'get',
+  // See the comment on the redirect endpoint for the Error parameter
+  route: '/file/:region/:url/:error?',
+  name: 'file',
+  title: 'Serve a file from the local filesystem cache',
+  description: [
+    'Serve the copy of :url which is stored by the `fs` storage',
+    'provider of :region.  This is the world address of objects',
+    'stored by that storage provider and is only meant for',
+    'development and testing without cloud storage.',
+    '',
+    'NOTE: URL parameter must be URL Encoded!',
+  ].join('\n'),
+}, async function (req, res) {
+  let url = req.params.url;
+  let region = req.params.region;
+  let error = req.params.error;
+
+  // See comment in the redirect message to explain this parameter
+  if (error) {
+    return res.reportError(
+        'InputError',
+        'URL Must be URL Encoded!',
+        {url, error}
+    );
+  }
+
+  let backends = this.cacheManagers.filter(x => x.id === `fs_${region}`);
+  if (backends.length === 0) {
+    debug(`fs_${region} is not known`);
+    return res.reportError(
+        'ResourceNotFound',
+        'region not found',
+        {url, region}
+    );
+  }
+
+  let file = await backends[0].storageProvider.read(url);
+  if (!file) {
+    return res.reportError(
+        'ResourceNotFound',
+        'file not found',
+        {url, region}
+    );
+  }
+
+  // Reading can still fail after the file was opened.  Piping doesn't end
+  // the response then, and the error would crash us if nobody handled it
+  file.stream.on('error', err => {
+    debug(`failed to read ${url} in fs_${region}: ${err.stack || err}`);
+    this.monitor.reportError(err, 'warning', {url, region});
+    if (res.headersSent) {
+      // Cutting the response short tells the client that it's incomplete
+      res.destroy();
+    } else {
+      _.keys(file.headers).forEach(name => res.removeHeader(name));
+      res.status(500).json({
+        msg: 'Failed to read file',
+        err: 'ReadError',
+      });
+    }
+  });
+
+  res.status(200);
+  res.set(file.headers);
+  file.stream.pipe(res);
+});
+
 api.declare({
   method: 'get',
   route: '/ping',
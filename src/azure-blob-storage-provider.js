@@ -0,0 +1,333 @@
+let StorageProvider = require('./storage-provider.js').StorageProvider;
+let assert = require('assert');
+let debug = require('debug')('cloud-mirror:azure-blob-storage-provider');
+let azure = require('azure-storage');
+let bluebird = require('bluebird');
+let _ = require('lodash');
+
+// The azure-storage library only has a callback interface
+bluebird.promisifyAll(azure.BlobService.prototype);
+
+/**
+ * Mapping of HTTP Headers to Azure blob content settings since they don't use
+ * the same string.
+ */
+const HTTPHeaderToAzureProp = {
+  'Content-Type': 'contentType',
+  'Content-Disposition': 'contentDisposition',
+  'Content-MD5': 'contentMD5',
+  'Content-Encoding': 'contentEncoding',
+};
+
+/**
+ * HTTP Headers which *must* be specified during an upload
+ */
+const MandatoryHTTPHeaders = ['Content-Type'];
+
+/**
+ * HTTP Headers which *must not* be specified during an upload
+ */
+const DisallowedHTTPHeaders = ['Cache-Control', 'Expires'];
+
+/**
+ * Name of the metadata which tells when a blob was stored, or refreshed last.
+ * The last modification time of a blob also changes when its metadata is set,
+ * so it can't tell how old the content is
+ */
+const CreatedMetadataName = 'cloudmirrorcreated';
+
+/**
+ * Azure metadata names must be valid C# identifiers, so the dashes in our
+ * 'cloud-mirror-*' names are stored as underscores.  The time that the blob
+ * was created at is stored along with them
+ */
+function toAzureMetadata(storageMetadata, created) {
+  return _.assign(_.mapKeys(storageMetadata, (value, key) => key.replace(/-/g, '_')), {
+    [CreatedMetadataName]: created.toISOString(),
+  });
+}
+
+/**
+ * Reverse of toAzureMetadata(), without the creation time
+ */
+function fromAzureMetadata(azureMetadata) {
+  return _.mapKeys(_.omit(azureMetadata, CreatedMetadataName), (value, key) => key.replace(/_/g, '-'));
+}
+
+/**
+ * When a blob was created according to its metadata.  Blobs which were stored
+ * before we kept track of this fall back to their last modification
+ */
+function createdAt(azureMetadata, lastModified) {
+  let created = azureMetadata && azureMetadata[CreatedMetadataName];
+  return new Date(created || lastModified);
+}
+
+/**
+ * Implementation of the StorageProvider for Azure Blob Storage.  Each region
+ * is a storage account in that Azure region and all blobs are stored as block
+ * blobs in a single container of that account
+ */
+class AzureBlobStorageProvider extends StorageProvider {
+
+  constructor(config) {
+    super(config);
+    assert(config.container, 'must specify an azure container');
+    assert(config.blobService, 'must provide an azure BlobService object');
+    assert(config.lifespan, 'must provide lifespan value for container');
+    this.container = config.container;
+    this.blobService = config.blobService;
+    this.lifespan = config.lifespan;
+  }
+
+  /**
+   * StorageProvider.put() implementation for Azure
+   */
+  async put(rawUrl, inputStream, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(inputStream, 'must provide an input stream');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    let options = {
+      contentSettings: {},
+      metadata: toAzureMetadata(storageMetadata, new Date()),
+    };
+
+    for (let httpHeader of DisallowedHTTPHeaders) {
+      if (headers[httpHeader]) {
+        throw new Error(`The HTTP header ${httpHeader} is not allowed`);
+      }
+    }
+
+    _.forEach(HTTPHeaderToAzureProp, (azureProp, httpHeader) => {
+      if (_.includes(MandatoryHTTPHeaders, httpHeader)) {
+        assert(headers[httpHeader], `HTTP Header ${httpHeader} must be specified`);
+      }
+      if (headers[httpHeader]) {
+        options.contentSettings[azureProp] = headers[httpHeader];
+      }
+    });
+
+    this.debug('starting Azure upload');
+    await new Promise((res, rej) => {
+      let abortTimer;
+
+      let upload = this.blobService.createWriteStreamToBlockBlob(
+        this.container, rawUrl, options, (err, result) => {
+          clearTimeout(abortTimer);
+          if (err) {
+            debug('upload error');
+            debug(err.stack || err);
+            rej(err);
+          } else {
+            res(result);
+          }
+        });
+
+      // Just like for S3, errors on the input stream (including the ones
+      // emitted for aborted requests by the cache-manager) must abort the
+      // upload.  Uncommitted blocks are garbage collected by Azure
+      inputStream.on('error', err => {
+        clearTimeout(abortTimer);
+        rej(err);
+        upload.destroy();
+      });
+
+      abortTimer = setTimeout(() => {
+        inputStream.emit('error', new Error('Azure upload timed out'));
+      }, 1000 * 60 * 60);
+
+      inputStream.pipe(upload);
+    });
+    this.debug('completed Azure upload');
+  }
+
+  /**
+   * StorageProvider.updateMetadata() implementation for Azure.  Setting the
+   * metadata of a blob does not change its content settings.  It replaces all
+   * of the metadata, so the creation time is carried over
+   */
+  async updateMetadata(rawUrl, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(storageMetadata, 'must provide storage provider metadata');
+    let properties = await this.blobService.getBlobPropertiesAsync(this.container, rawUrl);
+    await this.blobService.setBlobMetadataAsync(this.container, rawUrl,
+        toAzureMetadata(storageMetadata, createdAt(properties.metadata, properties.lastModified)));
+  }
+
+  /**
+   * StorageProvider.refresh() implementation for Azure.  Blobs are expired by
+   * expireAzureBlobs() based on their creation time, which restarts here like
+   * the lifespan of a refreshed S3 object does
+   */
+  async refresh(rawUrl, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(storageMetadata, 'must provide storage provider metadata');
+    await this.blobService.setBlobMetadataAsync(this.container, rawUrl,
+        toAzureMetadata(storageMetadata, new Date()));
+  }
+
+  /**
+   * StorageProvider.copy() implementation for Azure
+   */
+  async copy(sourceRawUrl, rawUrl, headers, storageMetadata) {
+    await this.copyFrom(this, sourceRawUrl, rawUrl, headers, storageMetadata);
+  }
+
+  /**
+   * Azure can copy the public blobs of any of our storage accounts
+   */
+  canCopyFrom(other) {
+    return other instanceof AzureBlobStorageProvider;
+  }
+
+  /**
+   * StorageProvider.copyFrom() implementation for Azure.  Copies are started
+   * by Azure and finish in the background, so we poll until this one is done.
+   * The copy keeps the content settings of the source blob
+   */
+  async copyFrom(other, sourceRawUrl, rawUrl, headers, storageMetadata) {
+    assert(other, 'must provide source storage provider');
+    assert(sourceRawUrl, 'must provide raw source url');
+    assert(rawUrl, 'must provide raw input url');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    let result = await this.blobService.startCopyBlobAsync(other.worldAddress(sourceRawUrl),
+        this.container, rawUrl, {metadata: toAzureMetadata(storageMetadata, new Date())});
+
+    let copy = result.copy;
+    while (copy && copy.status === 'pending') {
+      await new Promise(accept => setTimeout(accept, 1000));
+      copy = (await this.blobService.getBlobPropertiesAsync(this.container, rawUrl)).copy;
+    }
+
+    if (copy && copy.status !== 'success') {
+      throw new Error(`Copying ${sourceRawUrl} to ${rawUrl} ended with ${copy.status}: ` +
+        copy.statusDescription);
+    }
+  }
+
+  /**
+   * StorageProvider.head() implementation for Azure
+   */
+  async head(rawUrl) {
+    assert(rawUrl);
+    let result;
+    try {
+      result = await this.blobService.getBlobPropertiesAsync(this.container, rawUrl);
+    } catch (err) {
+      if (err.statusCode === 404) {
+        return undefined;
+      }
+      throw err;
+    }
+
+    // expireAzureBlobs() uses the creation time
+    let created = createdAt(result.metadata, result.lastModified).getTime();
+    let headers = {};
+    _.forEach(HTTPHeaderToAzureProp, (azureProp, httpHeader) => {
+      if (result.contentSettings && result.contentSettings[azureProp]) {
+        headers[httpHeader] = result.contentSettings[azureProp];
+      }
+    });
+
+    return {
+      size: parseInt(result.contentLength, 10),
+      headers,
+      metadata: fromAzureMetadata(result.metadata || {}),
+      expires: new Date(created + this.lifespan * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * StorageProvider.list() implementation for Azure.  The continuation token
+   * is an object, so we pass it around as JSON
+   */
+  async list(marker, limit) {
+    let token = marker ? JSON.parse(marker) : null;
+    let result = await this.blobService.listBlobsSegmentedAsync(this.container, token, {
+      maxResults: limit,
+    });
+
+    return {
+      rawUrls: result.entries.map(x => x.name),
+      marker: result.continuationToken ? JSON.stringify(result.continuationToken) : undefined,
+    };
+  }
+
+  /**
+   * StorageProvider.purge() implementation for Azure
+   */
+  async purge(rawUrl) {
+    this.debug(`purging ${rawUrl} from ${this.container}`);
+    await this.blobService.deleteBlobIfExistsAsync(this.container, rawUrl);
+    this.debug(`purged ${rawUrl} from ${this.container}`);
+  }
+
+  /**
+   * Create a blob URL for an object stored in this Azure storage provider.
+   * The BlobService knows the right host for both real storage accounts and
+   * emulators, but it would leave the slashes of the blob name unencoded
+   */
+  worldAddress(rawUrl) {
+    assert(rawUrl);
+    return this.blobService.getUrl(this.container) + '/' + encodeURIComponent(rawUrl);
+  }
+
+}
+
+/**
+ * Create an Azure container with the given name whose blobs can be read
+ * anonymously.  Azure lifecycle management policies can only be configured
+ * through the management API, so expiry of blobs is done by
+ * expireAzureBlobs() instead
+ */
+async function createAzureContainer(blobService, name) {
+  assert(blobService);
+  assert(name);
+  debug(`Creating Azure container ${name}`);
+  await blobService.createContainerIfNotExistsAsync(name, {
+    publicAccessLevel: 'blob',
+  });
+  debug(`Created Azure container ${name}`);
+}
+
+/**
+ * Delete all blobs in a container which were created, or refreshed, more than
+ * 'lifecycleDays' days ago.  This is the equivalent of the expiration
+ * lifecycle rule that we set on S3 buckets.  Returns the number of blobs
+ * which were deleted
+ */
+async function expireAzureBlobs(blobService, name, lifecycleDays = 1) {
+  assert(blobService);
+  assert(name);
+  assert(typeof lifecycleDays === 'number');
+
+  let cutoff = Date.now() - lifecycleDays * 24 * 60 * 60 * 1000;
+  let token = null;
+  let deleted = 0;
+
+  debug(`Expiring blobs older than ${lifecycleDays} days in ${name}`);
+  do {
+    let result = await blobService.listBlobsSegmentedAsync(name, token, {
+      include: azure.BlobUtilities.BlobListingDetails.METADATA,
+    });
+    for (let blob of result.entries) {
+      if (createdAt(blob.metadata, blob.lastModified).getTime() < cutoff) {
+        await blobService.deleteBlobIfExistsAsync(name, blob.name);
+        deleted++;
+      }
+    }
+    token = result.continuationToken;
+  } while (token);
+  debug(`Expired ${deleted} blobs in ${name}`);
+
+  return deleted;
+}
+
+module.exports = {
+  AzureBlobStorageProvider,
+  createAzureContainer,
+  expireAzureBlobs,
+};
@@ -0,0 +1,271 @@
+let debug = require('debug')('cloud-mirror:bulk-purge');
+let assert = require('assert');
+let slugid = require('slugid');
+let _ = require('lodash');
+
+function jobKey(jobId) {
+  return 'purge-job_' + jobId;
+}
+
+/**
+ * Check whether a regular expression has a quantified group which contains a
+ * quantifier or an alternation itself, like (a+)+ or (a|aa)+.  These can take
+ * exponential time to fail to match, which would stall a job that runs them
+ * over every cached url
+ */
+function hasAmbiguousRepetition(source) {
+  // Whether each of the groups that we're in contains a quantifier or an
+  // alternation
+  let groups = [false];
+  for (let i = 0; i < source.length; i++) {
+    let c = source[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '[') {
+      // Nothing in a character class is a group or quantifier
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') {
+          i++;
+        }
+      }
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')') {
+      let ambiguous = groups.length > 1 && groups.pop();
+      if (ambiguous && '*+{'.includes(source[i + 1])) {
+        return true;
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || ambiguous;
+    } else if ('*+{|'.includes(c)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Compile the pattern of a job from a caller.  Patterns which are invalid or
+ * could take exponential time to match are refused with an error whose code
+ * is InvalidPattern
+ */
+function compilePattern(pattern) {
+  let regexp;
+  try {
+    regexp = new RegExp(pattern);
+  } catch (err) {
+    err.code = 'InvalidPattern';
+    throw err;
+  }
+  if (hasAmbiguousRepetition(pattern)) {
+    let err = new Error('Quantified groups must not contain quantifiers or alternations');
+    err.code = 'InvalidPattern';
+    throw err;
+  }
+  return regexp;
+}
+
+/**
+ * Find the urls which match a job in a cache manager.  Urls with a cache
+ * entry are found by scanning the metadata store.  Objects can outlive their
+ * cache entry, so the storage provider is also listed if the job asks for
+ * it, unless the content-addressed layout stores objects by their content
+ */
+async function findUrls(cacheManager, {prefix, pattern, listObjects, pageSize}) {
+  let matches = rawUrl => rawUrl.startsWith(prefix || '') && (!pattern || pattern.test(rawUrl));
+  let rawUrls = (await cacheManager.listCachedUrls(prefix)).filter(matches);
+
+  if (listObjects && !cacheManager.contentAddressed) {
+    let marker;
+    do {
+      let page = await cacheManager.storageProvider.list(marker, pageSize);
+      rawUrls = rawUrls.concat(page.rawUrls.filter(matches));
+      marker = page.marker;
+    } while (marker);
+  }
+
+  return _.uniq(rawUrls).sort();
+}
+
+/**
+ * Write the record of a job.  The urls it removed are the audit trail, so
+ * they're kept along with the counts, as far as the job records them.  Whether
+ * any were left out is recorded too, so that an incomplete trail is known
+ */
+async function saveJob(store, job, ttl) {
+  await store.set(jobKey(job.jobId), {
+    jobId: job.jobId,
+    state: job.state,
+    created: job.created.toISOString(),
+    finished: job.finished ? job.finished.toISOString() : '',
+    clientId: job.clientId,
+    prefix: job.prefix || '',
+    pattern: job.pattern ? job.pattern.source : '',
+    dryRun: String(job.dryRun),
+    regions: JSON.stringify(job.regions),
+    matched: job.matched,
+    purged: job.purged,
+    failed: job.failed,
+    urls: JSON.stringify(job.urls),
+    maxRecordedUrls: job.maxRecordedUrls,
+    truncated: String(job.truncated),
+    error: job.error || '',
+  }, ttl);
+}
+
+/**
+ * Purge every url which starts with a prefix and matches a pattern from the
+ * given cache managers.  This starts a job which runs in the background and
+ * returns its id and a promise for its end.  The job is recorded in the
+ * metadata store for ttl seconds, with the first maxRecordedUrls urls that it
+ * removed, or only found if it's a dry run, and can be read with readJob().
+ * Beyond those, only the counts are kept so that broad jobs don't make for a
+ * huge record, and the job is marked as truncated.  Urls which fail to be
+ * purged are counted and left out, and the job goes on with the others.
+ *
+ * Options:
+ *   - cacheManagers: CacheManagers to purge from
+ *   - store: MetadataStore to record the job in
+ *   - prefix: string that the urls start with
+ *   - pattern: RegExp that the urls match
+ *   - dryRun: only find the urls without purging them
+ *   - listObjects: also look for urls in the storage providers
+ *   - clientId: who asked for the job, for the audit trail
+ *   - pageSize: number of objects to list from storage providers at a time
+ *   - maxRecordedUrls: number of urls to keep in the job record
+ *   - ttl: number of seconds to keep the job record for
+ *   - monitor: taskcluster-lib-monitor instance
+ */
+async function startPurgeJob(options) {
+  let {cacheManagers, store, prefix, pattern, dryRun, listObjects, clientId} = options;
+  let {pageSize, maxRecordedUrls, ttl, monitor} = options;
+  assert(Array.isArray(cacheManagers));
+  assert(store);
+  assert(monitor);
+  assert(prefix || pattern, 'must provide a prefix or a pattern');
+  assert(!pattern || pattern instanceof RegExp, 'pattern must be a RegExp');
+  assert(typeof pageSize === 'number' && pageSize > 0, 'pageSize must be a positive number');
+  assert(typeof maxRecordedUrls === 'number' && maxRecordedUrls >= 0, 'maxRecordedUrls must be a number');
+  assert(typeof ttl === 'number' && ttl > 0, 'ttl must be a positive number');
+
+  let job = {
+    jobId: slugid.nice(),
+    state: 'running',
+    created: new Date(),
+    clientId: clientId || 'unknown',
+    prefix,
+    pattern,
+    dryRun: !!dryRun,
+    regions: cacheManagers.map(x => ({service: x.storageProvider.service, region: x.storageProvider.region})),
+    matched: 0,
+    purged: 0,
+    failed: 0,
+    urls: [],
+    maxRecordedUrls,
+    truncated: false,
+  };
+  await saveJob(store, job, ttl);
+
+  let run = async () => {
+    for (let cacheManager of cacheManagers) {
+      let rawUrls = await findUrls(cacheManager, {prefix, pattern, listObjects, pageSize});
+      job.matched += rawUrls.length;
+      debug(`job ${job.jobId} matched ${rawUrls.length} urls in ${cacheManager.id}`);
+
+      for (let rawUrl of rawUrls) {
+        let entry = {
+          service: cacheManager.storageProvider.service,
+          region: cacheManager.storageProvider.region,
+          url: rawUrl,
+        };
+        if (!job.dryRun) {
+          // One url which can't be purged shouldn't keep the job from
+          // purging the others
+          try {
+            await cacheManager.purge(rawUrl);
+          } catch (err) {
+            job.failed++;
+            monitor.count(`${cacheManager.id}.bulk-purge-failure`, 1);
+            monitor.reportError(err, 'warning', {jobId: job.jobId, url: rawUrl});
+            debug(`job ${job.jobId} failed to remove ${rawUrl} from ${cacheManager.id}: ${err.stack || err}`);
+            continue;
+          }
+          job.purged++;
+          monitor.count(`${cacheManager.id}.bulk-purged`, 1);
+          debug(`job ${job.jobId} of ${job.clientId} removed ${rawUrl} from ${cacheManager.id}`);
+        }
+        if (job.urls.length < maxRecordedUrls) {
+          job.urls.push(entry);
+        } else {
+          job.truncated = true;
+        }
+      }
+
+      // Let whoever is following the job know how far it got
+      await saveJob(store, job, ttl);
+    }
+  };
+
+  let done = run().then(() => {
+    job.state = 'completed';
+  }, err => {
+    job.state = 'failed';
+    job.error = err.message;
+    monitor.reportError(err, 'warning', {jobId: job.jobId});
+    debug(`job ${job.jobId} failed: ${err.stack || err}`);
+  }).then(async () => {
+    job.finished = new Date();
+    await saveJob(store, job, ttl);
+    monitor.count(`bulk-purge-job.${job.state}`, 1);
+    debug(`job ${job.jobId} ${job.state}: ` +
+      `${job.dryRun ? 'found' : 'removed'} ${job.dryRun ? job.matched : job.purged} urls, ` +
+      `failed to remove ${job.failed}`);
+  }).catch(err => {
+    monitor.reportError(err, 'warning', {jobId: job.jobId});
+  });
+
+  return {jobId: job.jobId, done};
+}
+
+/**
+ * Return what the record of a job started by startPurgeJob() tells, or
+ * undefined if the job is unknown or has been forgotten
+ */
+async function readJob({jobId, store}) {
+  assert(jobId);
+  assert(store);
+
+  let record = await store.get(jobKey(jobId));
+  if (!record) {
+    return undefined;
+  }
+
+  let job = {
+    jobId: record.jobId,
+    state: record.state,
+    created: record.created,
+    clientId: record.clientId,
+    dryRun: record.dryRun === 'true',
+    regions: JSON.parse(record.regions),
+    matched: parseInt(record.matched, 10),
+    purged: parseInt(record.purged, 10),
+    failed: parseInt(record.failed, 10) || 0,
+    urls: JSON.parse(record.urls),
+    truncated: record.truncated === 'true',
+  };
+  // Records of jobs from before the number of urls was limited don't tell it
+  if (record.maxRecordedUrls) {
+    job.maxRecordedUrls = parseInt(record.maxRecordedUrls, 10);
+  }
+  for (let field of ['finished', 'prefix', 'pattern', 'error']) {
+    if (record[field]) {
+      job[field] = record[field];
+    }
+  }
+  return job;
+}
+
+module.exports = {
+  compilePattern,
+  startPurgeJob,
+  readJob,
+};
@@ -0,0 +1,134 @@
+let _ = require('lodash');
+
+/**
+ * Version of the cache entries that we write.  Entries are MetadataStore
+ * values, i.e. objects of strings, so fields can be added without breaking
+ * readers, but readers need to know which fields to expect:
+ *
+ *   1. url, status and stack, plus the fields of the status like the digests
+ *      of present entries or the progress of pending ones.  These entries
+ *      have no version field
+ *   2. present entries also describe the object that's stored, see
+ *      describeObject()
+ */
+const CACHE_ENTRY_VERSION = 2;
+
+/**
+ * Return the version of a cache entry read from the MetadataStore
+ */
+function entryVersion(cacheEntry) {
+  return parseInt(cacheEntry.version, 10) || 1;
+}
+
+/**
+ * Turn what we know about the object stored for a present entry into cache
+ * entry fields.  All of these are optional since we don't always know them:
+ *   - size: size of the object in bytes
+ *   - contentType: its Content-Type
+ *   - etag: the ETag that upstream gave it
+ *   - finalUrl: the url that it was fetched from after following redirects
+ *   - addresses: the redirect chain, as returned by validate-url.js
+ *   - storedAt: Date when it was stored
+ *   - copyDuration: number of milliseconds that copying it took
+ *   - expires: Date when the storage provider will remove it
+ */
+function describeObject(object) {
+  let fields = {};
+  if (typeof object.size === 'number') {
+    fields.size = String(object.size);
+  }
+  if (object.contentType) {
+    fields.contentType = object.contentType;
+  }
+  if (object.etag) {
+    fields.etag = object.etag;
+  }
+  if (object.finalUrl) {
+    fields.finalUrl = object.finalUrl;
+  }
+  if (object.addresses) {
+    fields.addresses = JSON.stringify(object.addresses);
+  }
+  if (object.storedAt) {
+    fields.storedAt = object.storedAt.toISOString();
+  }
+  if (typeof object.copyDuration === 'number') {
+    fields.copyDuration = String(Math.round(object.copyDuration));
+  }
+  if (object.expires) {
+    fields.expires = object.expires.toISOString();
+  }
+  return fields;
+}
+
+/**
+ * The opposite of describeObject().  Entries from before version 2 don't
+ * describe their object, so an empty object is returned for them
+ */
+function readObjectDescription(cacheEntry) {
+  let object = {};
+  if (entryVersion(cacheEntry) < 2) {
+    return object;
+  }
+  if (cacheEntry.size) {
+    object.size = parseInt(cacheEntry.size, 10);
+  }
+  if (cacheEntry.contentType) {
+    object.contentType = cacheEntry.contentType;
+  }
+  if (cacheEntry.etag) {
+    object.etag = cacheEntry.etag;
+  }
+  if (cacheEntry.finalUrl) {
+    object.finalUrl = cacheEntry.finalUrl;
+  }
+  if (cacheEntry.addresses) {
+    object.addresses = JSON.parse(cacheEntry.addresses);
+  }
+  if (cacheEntry.storedAt) {
+    object.storedAt = new Date(cacheEntry.storedAt);
+  }
+  if (cacheEntry.copyDuration) {
+    object.copyDuration = parseInt(cacheEntry.copyDuration, 10);
+  }
+  if (cacheEntry.expires) {
+    object.expires = new Date(cacheEntry.expires);
+  }
+  return object;
+}
+
+/**
+ * Describe an object from what StorageProvider.head() returns for it, using
+ * the metadata that the cache manager stores with each object
+ */
+function describeStoredObject(object) {
+  let metadata = object.metadata;
+  let known = x => x && x !== '<unknown>' ? x : undefined;
+
+  let addresses;
+  try {
+    addresses = JSON.parse(metadata['cloud-mirror-addresses']);
+  } catch (err) {
+    addresses = undefined;
+  }
+
+  let storedAt = new Date(metadata['cloud-mirror-stored']);
+
+  return {
+    size: object.size,
+    contentType: object.headers['Content-Type'],
+    etag: known(metadata['cloud-mirror-upstream-etag']),
+    finalUrl: Array.isArray(addresses) && addresses.length > 0 ? _.last(addresses).u : undefined,
+    addresses: addresses,
+    storedAt: isNaN(storedAt.getTime()) ? undefined : storedAt,
+    expires: object.expires,
+  };
+}
+
+module.exports = {
+  CACHE_ENTRY_VERSION,
+  entryVersion,
+  describeObject,
+  readObjectDescription,
+  describeStoredObject,
+};
@@ -10,17 +10,70 @@ let request = require('./request').request;
 let fs = require('fs');
 let debugModule = require('debug');
 let validateUrl = require('./validate-url');
+let Lease = require('./lease').Lease;
+let cacheEntries = require('./cache-entry');
 let _ = require('lodash');
 let assert = require('assert');
+let crypto = require('crypto');
+let uuid = require('uuid');
+let os = require('os');
 
-const CACHE_STATES = ['present', 'pending', 'error'];
+const CACHE_STATES = ['present', 'pending', 'error', 'not-found'];
+
+/**
+ * Client errors from upstream which will most likely be the same the next time
+ * we ask, so they're cached as 'not-found' entries.  Timeouts and rate limits
+ * are not
+ */
+function isNotFound(statusCode) {
+  return statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+}
+
+/**
+ * Address of an object in the content-addressed layout
+ */
+function contentKey(sha256) {
+  return 'sha256/' + sha256;
+}
+
+/**
+ * Compare what we received from upstream with what upstream told us it was
+ * sending.  The Content-Length and Content-MD5 headers are checked when they
+ * are present, as is the ETag when it is a simple MD5 sum like the ones that
+ * S3 gives to objects which were not uploaded in parts.  Throws an error with
+ * code 'ContentMismatch' listing all mismatches
+ */
+function verifyContent(upstreamHeaders, received) {
+  let mismatches = [];
+
+  let contentLength = upstreamHeaders['content-length'];
+  if (contentLength && parseInt(contentLength, 10) !== received.bytes) {
+    mismatches.push(`received ${received.bytes} bytes instead of Content-Length ${contentLength}`);
+  }
+
+  let contentMD5 = upstreamHeaders['content-md5'];
+  if (contentMD5 && contentMD5 !== Buffer.from(received.md5, 'hex').toString('base64')) {
+    mismatches.push(`Content-MD5 ${contentMD5} does not match received content`);
+  }
+
+  let etag = /^"([0-9a-f]{32})"$/i.exec(upstreamHeaders['etag'] || '');
+  if (etag && etag[1].toLowerCase() !== received.md5) {
+    mismatches.push(`ETag ${upstreamHeaders['etag']} does not match received content`);
+  }
+
+  if (mismatches.length > 0) {
+    let err = new Error(mismatches.join(', '));
+    err.code = 'ContentMismatch';
+    throw err;
+  }
+}
 
 class CacheManager {
   constructor(config) {
     for (let x of [
       'allowedPatterns', // Regular expressions to validate input urls
       'cacheTTL', // Number of seconds to keep URL in the cache
-      'redis', // Redis object where we should cache metadata
+      'metadataStore', // MetadataStore where we should cache metadata
       'ensureSSL', // true if we should force only HTTP in redirect links
       'storageProvider', // StorageProvider instance to manage
       'monitor', // taskcluster-lib-monitor instance
@@ -33,6 +86,50 @@ class CacheManager {
     // Maximum number of redirects to follow
     this.redirectLimit = config.redirectLimit || 30;
 
+    // Maximum size in bytes of the objects that we copy.  Allowed patterns
+    // can have their own, smaller, limit
+    this.maxSize = config.maxSize;
+
+    // Store objects under the SHA-256 of their content instead of their url,
+    // so that urls with the same content share one copy
+    this.contentAddressed = !!config.contentAddressed;
+
+    // Maximum number of bytes to keep in our storage provider.  Above this,
+    // the evictor purges the objects which were least recently redirected to.
+    // Content in the content-addressed layout is shared by urls and only
+    // expires on its own, so it can't be evicted
+    this.quota = config.quota;
+    if (this.quota) {
+      assert(!this.contentAddressed, 'quotas are not supported in the content-addressed layout');
+    }
+
+    // Number of seconds between updates of the progress of a copy in its
+    // pending cache entry
+    this.progressInterval = config.progressInterval || 10;
+
+    // Identifies this process in the progress of its copies
+    this.workerId = `${os.hostname()}-${process.pid}`;
+
+    // Number of seconds to remember that upstream doesn't have a url
+    this.notFoundTTL = config.notFoundTTL || 5 * 60;
+
+    // Failed copies are retried after baseDelay seconds, which doubles with
+    // every failure up to maxDelay.  After maxAttempts failures, redirects go
+    // to the original url until the next retry is due
+    this.retry = _.defaults({}, config.retry, {
+      baseDelay: 30,
+      maxDelay: 60 * 60,
+      maxAttempts: 5,
+    });
+
+    // Number of seconds that the lease on a url which we're copying lasts
+    // without being renewed
+    this.leaseTTL = config.leaseTTL || 60;
+
+    // Cache managers of other regions which we can copy objects from instead
+    // of from upstream
+    this.siblings = config.siblings || [];
+
     this.queueSender = config.queueSender;
 
     // We'll use the same ID here as we have set in the storage provider
@@ -45,31 +142,168 @@ class CacheManager {
       return validateUrl({
         url: u,
         allowedPatterns: this.allowedPatterns,
+        maxSize: this.maxSize,
         ensureSSL: this.ensureSSL,
       });
     };
   }
 
+  /**
+   * Copy rawUrl into our storage provider, unless another worker is already
+   * copying it.  The lease on rawUrl is renewed for as long as the copy takes
+   * so that duplicate messages for it are dropped
+   */
   async put(rawUrl) {
     assert(rawUrl);
+    let lease = new Lease({
+      store: this.metadataStore,
+      key: this.leaseKey(rawUrl),
+      ttl: this.leaseTTL * 1000,
+    });
+
+    let leased;
+    try {
+      leased = await lease.acquire();
+    } catch (err) {
+      // Copying a url twice is better than not copying it at all
+      this.monitor.reportError(err);
+      this.monitor.count('redis.lease-failure', 1);
+    }
+
+    if (leased === false) {
+      this.debug(`${rawUrl} is already being copied, ignoring put`);
+      this.monitor.count('duplicate-put', 1);
+      return;
+    }
+
+    if (leased) {
+      lease.keepAlive(() => this.monitor.count('lease-lost', 1));
+    }
+
+    try {
+      await this.doPut(rawUrl);
+    } finally {
+      if (leased) {
+        await lease.release().catch(err => {
+          this.monitor.reportError(err);
+        });
+      }
+    }
+  }
+
+  async doPut(rawUrl) {
     this.debug(`putting ${rawUrl}`);
 
-    // Tell others that we're working on this url
-    await this.insertCacheEntry(rawUrl, 'pending', this.cacheTTL);
+    // Messages which were sent before the last failure are dropped until the
+    // next retry is due
+    let previous = await this.peekCacheEntry(rawUrl);
+    if (this.inBackoff(previous)) {
+      this.debug(`not retrying ${rawUrl} until ${previous.nextRetry}`);
+      this.monitor.count('put-backoff', 1);
+      return;
+    }
+
+    // Tell others that we're working on this url.  Failed attempts are
+    // counted until a copy succeeds
+    let retryFields = this.retryFields(previous);
+    let startedAt = new Date();
+    await this.insertCacheEntry(rawUrl, 'pending', this.cacheTTL, _.assign({
+      startedAt: startedAt.toISOString(),
+      workerId: this.workerId,
+    }, retryFields));
 
     // Basically, any error here should do the same thing: pring the exception
     // in our logs then set the cache entry to status === 'error'
     try {
+      // If we still have the copy from last time, we only need to ask
+      // upstream whether it has changed
+      let storedCopy = await this.findRevalidatableCopy(rawUrl);
+
+      if (!storedCopy && await this.seedFromSibling(rawUrl)) {
+        return;
+      }
+
+      // A previous attempt might have stored part of the object already
+      let upload;
+      if (!storedCopy && !this.contentAddressed) {
+        upload = await this.readUpload(rawUrl);
+      }
+
       this.debug(`creating read stream for ${rawUrl}`);
-      let inputUrlInfo = await this.createUrlReadStream(rawUrl);
+      let inputUrlInfo = await this.createUrlReadStream(rawUrl, {
+        upload,
+        validators: storedCopy ? storedCopy.validators : undefined,
+      });
       this.debug(`created read stream for ${rawUrl}`);
 
+      if (storedCopy && inputUrlInfo.statusCode === 304) {
+        inputUrlInfo.stream.resume();
+        await this.refreshStoredCopy(rawUrl, storedCopy.object);
+        return;
+      }
+
       let bytes = 0;
+      let sha256 = crypto.createHash('sha256');
+      let md5 = crypto.createHash('md5');
 
       let inputStream = inputUrlInfo.stream;
 
+      // The storage provider updates the upload as it goes, so we need to
+      // remember where we started
+      let resumedFrom = 0;
+      if (upload) {
+        let range = /^bytes (\d+)-/.exec(inputUrlInfo.headers['content-range'] || '');
+        if (inputUrlInfo.statusCode === 206 && range && parseInt(range[1], 10) === upload.offset) {
+          resumedFrom = upload.offset;
+          this.debug(`resuming upload of ${rawUrl} at byte ${upload.offset}`);
+          this.monitor.count('upload-resumed', 1);
+          this.monitor.measure('upload-resumed-bytes', upload.offset);
+        } else {
+          this.debug(`not resuming upload of ${rawUrl}, upstream responded ${inputUrlInfo.statusCode}`);
+          await this.storageProvider.discardUpload(rawUrl, upload);
+          await this.deleteUpload(rawUrl);
+          if (inputUrlInfo.statusCode !== 200) {
+            inputStream.resume();
+            throw new Error(`Upstream responded to range request with ${inputUrlInfo.statusCode}`);
+          }
+          upload = undefined;
+        }
+      }
+
+      if (this.contentAddressed) {
+        let stored = await this.findStoredContent(inputUrlInfo);
+        if (stored) {
+          this.debug(`content of ${rawUrl} is already stored as ${stored.sha256}`);
+          inputStream.destroy();
+          this.monitor.count('dedup-hit', 1);
+          await this.insertCacheEntry(rawUrl, 'present', this.cacheTTL, _.assign({}, stored,
+            cacheEntries.describeObject({
+              contentType: inputUrlInfo.headers['content-type'],
+              etag: inputUrlInfo.headers['etag'],
+              finalUrl: inputUrlInfo.url,
+              addresses: inputUrlInfo.addresses,
+              expires: await this.objectExpiry(contentKey(stored.sha256)),
+            })));
+          return;
+        }
+      }
+
+      // Upstream doesn't have to tell us how large the content is, so the
+      // limit that createUrlReadStream() checked the Content-Length against
+      // is enforced again as the content arrives
+      let maxSize = inputUrlInfo.maxSize;
       inputStream.on('data', chunk => {
         bytes += chunk.length;
+        sha256.update(chunk);
+        md5.update(chunk);
+        if (typeof maxSize === 'number' && resumedFrom + bytes > maxSize) {
+          let err = new Error(`Received more than the maximum of ${maxSize} bytes`);
+          err.code = 'TooLarge';
+          err.statusCode = 413;
+          maxSize = undefined;
+          inputStream.emit('error', err);
+          inputStream.destroy();
+        }
       });
 
       let headers = {};
@@ -96,13 +330,15 @@ class CacheManager {
         headers['Content-MD5'] = contentMD5;
       }
 
-      let contentLength = inputUrlInfo.headers['content-length'];
+      // When resuming, upstream only sends the rest of the content
+      let contentLength = upload ? upload.contentLength : inputUrlInfo.headers['content-length'];
       if (contentLength) {
         headers['Content-Length'] = contentLength;
       }
 
       let storageMetadata = {
         'cloud-mirror-upstream-etag': inputUrlInfo.headers['etag'] || '<unknown>',
+        'cloud-mirror-upstream-last-modified': inputUrlInfo.headers['last-modified'] || '<unknown>',
         'cloud-mirror-upstream-content-length': contentLength || '<unknown>',
         'cloud-mirror-upstream-url': rawUrl,
         'cloud-mirror-stored': new Date().toISOString(),
@@ -122,7 +358,41 @@ class CacheManager {
       });
       inputStream.setTimeout(1000 * 60 * 60);
 
-      await this.storageProvider.put(rawUrl, inputStream, headers, storageMetadata);
+      // In the content-addressed layout, we don't know where the object goes
+      // until we've seen all of it, so it's uploaded to a staging address
+      // first.  Staging objects left behind by a crash expire like any other
+      let objectKey = rawUrl;
+      if (this.contentAddressed) {
+        objectKey = 'staging/' + uuid.v4();
+      }
+
+      // Let others know how the copy is going while it's in progress.  The
+      // last update has to be written before we go on, so that it can't
+      // replace the entry which we insert once the copy is done
+      let progressUpdate = Promise.resolve();
+      let progressTimer = setInterval(() => {
+        let fields = _.assign(this.progressFields(startedAt, resumedFrom + bytes, contentLength), retryFields);
+        progressUpdate = progressUpdate.then(() => {
+          return this.insertCacheEntry(rawUrl, 'pending', this.cacheTTL, fields);
+        });
+      }, this.progressInterval * 1000);
+
+      try {
+        if (upload || this.canResume(inputUrlInfo)) {
+          let saveUpload = state => this.saveUpload(rawUrl, _.assign({
+            etag: inputUrlInfo.headers['etag'],
+            contentLength,
+          }, state));
+          await this.storageProvider.putResumable(objectKey, inputStream, headers, storageMetadata,
+              upload, saveUpload);
+          await this.deleteUpload(rawUrl);
+        } else {
+          await this.storageProvider.put(objectKey, inputStream, headers, storageMetadata);
+        }
+      } finally {
+        clearInterval(progressTimer);
+        await progressUpdate;
+      }
 
       let d = process.hrtime(start);
       let duration = d[0] * 1000 + d[1] / 1000000;
@@ -134,109 +404,972 @@ class CacheManager {
 
       this.debug(`uploaded ${rawUrl} ${bytes} bytes in ${duration/1000} seconds`);
 
-      await this.insertCacheEntry(rawUrl, 'present', this.cacheTTL);
+      let digests = {
+        sha256: sha256.digest('hex'),
+        md5: md5.digest('hex'),
+      };
+
+      // We never saw the start of resumed content, so all we can check is
+      // its length and we don't know its digests
+      try {
+        if (upload) {
+          verifyContent({'content-length': contentLength}, {bytes: resumedFrom + bytes});
+        } else {
+          verifyContent(inputUrlInfo.headers, {bytes, md5: digests.md5});
+        }
+      } catch (err) {
+        this.monitor.count('verification-failure', 1);
+        await this.storageProvider.purge(objectKey).catch(purgeErr => {
+          this.monitor.reportError(purgeErr);
+        });
+        throw err;
+      }
+
+      // What we know about the stored object goes into its cache entry
+      let description = {
+        size: resumedFrom + bytes,
+        contentType: headers['Content-Type'],
+        etag: inputUrlInfo.headers['etag'],
+        finalUrl: inputUrlInfo.url,
+        addresses: inputUrlInfo.addresses,
+        storedAt: new Date(storageMetadata['cloud-mirror-stored']),
+        copyDuration: duration,
+      };
+
+      if (upload) {
+        description.expires = await this.objectExpiry(objectKey);
+        await this.insertCacheEntry(rawUrl, 'present', this.cacheTTL,
+            cacheEntries.describeObject(description));
+        await this.recordUsage(rawUrl, resumedFrom + bytes);
+        this.monitor.count('source.origin', 1);
+        return;
+      }
+
+      storageMetadata['cloud-mirror-sha256'] = digests.sha256;
+      storageMetadata['cloud-mirror-md5'] = digests.md5;
+      if (this.contentAddressed) {
+        await this.storeContent(objectKey, headers, storageMetadata, digests);
+        await this.insertContentIndex(inputUrlInfo, digests);
+      }
+
+      description.expires = await this.objectExpiry(this.objectKey(rawUrl, digests));
+      await this.insertCacheEntry(rawUrl, 'present', this.cacheTTL, _.assign({}, digests,
+          cacheEntries.describeObject(description)));
+      await this.recordUsage(rawUrl, bytes);
+      this.monitor.count('source.origin', 1);
+
+      // The digests are only known once the upload has finished, but storage
+      // providers like S3 fix the metadata of an object when its upload
+      // starts.  So they're added to the stored object afterwards, which on S3
+      // means copying it onto itself.  That's why this only happens once the
+      // copy is present, which it stays even if this fails.  The copy is done
+      // within S3, but it takes time for large objects, so it's measured
+      if (!this.contentAddressed) {
+        let metadataStart = process.hrtime();
+        try {
+          await this.storageProvider.updateMetadata(rawUrl, headers, storageMetadata);
+          let md = process.hrtime(metadataStart);
+          this.monitor.measure('metadata-update-duration-ms', md[0] * 1000 + md[1] / 1000000);
+          this.monitor.measure('metadata-update-size-bytes', bytes);
+        } catch (err) {
+          this.monitor.reportError(err);
+          this.monitor.count('metadata-update-failure', 1);
+        }
+      }
 
     } catch (err) {
       this.debug(`error putting ${rawUrl}: ${err.stack || err}`);
-      await this.insertCacheEntry(rawUrl, 'error', this.cacheTTL, err.stack || err);
+      // The upload that we would resume is gone, so the next attempt has to
+      // start over.  There's no point in resuming one that is too large
+      if (err.code === 'NoSuchUpload' || err.code === 'TooLarge') {
+        await this.deleteUpload(rawUrl).catch(() => {});
+      }
+      if (err.code === 'BadHTTPStatus' && isNotFound(err.statusCode)) {
+        await this.insertNotFound(rawUrl, err.statusCode, err.headers);
+        return;
+      }
+      await this.insertCacheEntry(rawUrl, 'error', this.cacheTTL, _.assign({
+        stack: err.stack || err,
+      }, this.failureFields(retryFields)));
+    }
+  }
+
+  /**
+   * The fields of a pending cache entry which tell how its copy is going:
+   * when it started, in which worker, how many bytes have been received out
+   * of how many are expected, if upstream told us, and how fast
+   */
+  progressFields(startedAt, bytes, expected) {
+    let elapsed = (Date.now() - startedAt.getTime()) / 1000;
+    let fields = {
+      startedAt: startedAt.toISOString(),
+      workerId: this.workerId,
+      bytes: bytes,
+      bytesPerSecond: elapsed > 0 ? Math.round(bytes / elapsed) : 0,
+    };
+    if (expected) {
+      fields.expected = parseInt(expected, 10);
+    }
+    return fields;
+  }
+
+  /**
+   * Return the progress stored in a pending cache entry, or undefined if it
+   * doesn't have any
+   */
+  readProgress(cacheEntry) {
+    if (!cacheEntry.startedAt) {
+      return undefined;
+    }
+    let progress = {
+      startedAt: cacheEntry.startedAt,
+      workerId: cacheEntry.workerId,
+      bytes: parseInt(cacheEntry.bytes, 10) || 0,
+      bytesPerSecond: parseInt(cacheEntry.bytesPerSecond, 10) || 0,
+    };
+    if (cacheEntry.expected) {
+      progress.expected = parseInt(cacheEntry.expected, 10);
+    }
+    return progress;
+  }
+
+  /**
+   * Remember that upstream responded to rawUrl with a client error, so that
+   * requests for it can be answered without asking upstream again until the
+   * entry expires after notFoundTTL seconds.  Returns false if the status
+   * isn't one that we cache
+   */
+  async insertNotFound(rawUrl, statusCode, headers = {}) {
+    if (!isNotFound(statusCode)) {
+      return false;
+    }
+    this.debug(`upstream responded to ${rawUrl} with ${statusCode}`);
+    await this.insertCacheEntry(rawUrl, 'not-found', this.notFoundTTL, {
+      statusCode: statusCode,
+      headers: JSON.stringify(headers),
+    });
+    this.monitor.count('not-found', 1);
+    return true;
+  }
+
+  /**
+   * The fields of a cache entry which keep track of failed copies: the number
+   * of attempts which failed, when the last one failed and when the next may
+   * start.  They're carried over to the pending entry of the next attempt and
+   * dropped once a copy succeeds
+   */
+  retryFields(cacheEntry) {
+    return _.pick(cacheEntry || {}, ['attempts', 'lastError', 'nextRetry']);
+  }
+
+  /**
+   * Return the retry fields after another failed attempt
+   */
+  failureFields(retryFields) {
+    let attempts = (parseInt(retryFields.attempts, 10) || 0) + 1;
+    let delay = Math.min(this.retry.baseDelay * Math.pow(2, attempts - 1), this.retry.maxDelay);
+    let now = Date.now();
+    return {
+      attempts: attempts,
+      lastError: new Date(now).toISOString(),
+      nextRetry: new Date(now + delay * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Whether the copy of a cache entry failed and may not be retried yet
+   */
+  inBackoff(cacheEntry) {
+    return !!cacheEntry && cacheEntry.status === 'error' && !!cacheEntry.nextRetry &&
+      new Date(cacheEntry.nextRetry).getTime() > Date.now();
+  }
+
+  /**
+   * Find our stored copy of rawUrl along with the validators that upstream
+   * gave us for it, i.e. its ETag and Last-Modified time.  Returns undefined
+   * if there is no such copy.  Copies in the content-addressed layout can't
+   * be found by their url, so they're never revalidated
+   */
+  async findRevalidatableCopy(rawUrl) {
+    if (this.contentAddressed) {
+      return undefined;
+    }
+
+    let object;
+    try {
+      object = await this.storageProvider.head(rawUrl);
+    } catch (err) {
+      this.monitor.reportError(err);
+      return undefined;
+    }
+
+    if (!object || object.metadata['cloud-mirror-upstream-url'] !== rawUrl) {
+      return undefined;
+    }
+
+    let validators = {};
+    let etag = object.metadata['cloud-mirror-upstream-etag'];
+    if (etag && etag !== '<unknown>') {
+      validators.etag = etag;
+    }
+    let lastModified = object.metadata['cloud-mirror-upstream-last-modified'];
+    if (lastModified && lastModified !== '<unknown>') {
+      validators.lastModified = lastModified;
+    }
+
+    if (!validators.etag && !validators.lastModified) {
+      return undefined;
+    }
+
+    return {object, validators};
+  }
+
+  /**
+   * Upstream told us that our stored copy of rawUrl is still current, so we
+   * restart its lifespan in the storage provider and trust it for another
+   * cacheTTL seconds
+   */
+  async refreshStoredCopy(rawUrl, object) {
+    this.debug(`${rawUrl} has not changed, refreshing stored copy`);
+    let headers = _.assign({}, object.headers, {'Content-Length': String(object.size)});
+    let storageMetadata = _.assign({}, object.metadata, {
+      'cloud-mirror-stored': new Date().toISOString(),
+    });
+
+    await this.storageProvider.refresh(rawUrl, headers, storageMetadata);
+
+    let digests = {};
+    if (object.metadata['cloud-mirror-sha256']) {
+      digests.sha256 = object.metadata['cloud-mirror-sha256'];
+      digests.md5 = object.metadata['cloud-mirror-md5'];
+    }
+
+    let description = _.assign(cacheEntries.describeStoredObject(object), {
+      storedAt: new Date(storageMetadata['cloud-mirror-stored']),
+      expires: await this.objectExpiry(rawUrl),
+    });
+    await this.insertCacheEntry(rawUrl, 'present', this.cacheTTL, _.assign({}, digests,
+        cacheEntries.describeObject(description)));
+    await this.recordUsage(rawUrl, object.size);
+    this.monitor.count('source.revalidated', 1);
+  }
+
+  /**
+   * Copy rawUrl from a sibling region where it's present instead of from
+   * upstream.  Siblings which our storage provider can copy from directly are
+   * tried before the ones that we have to download from.  Returns true if
+   * rawUrl was seeded and false if it has to come from upstream
+   */
+  async seedFromSibling(rawUrl) {
+    let siblings = _.sortBy(this.siblings, x => this.storageProvider.canCopyFrom(x.storageProvider) ? 0 : 1);
+
+    for (let sibling of siblings) {
+      // We don't use sibling.readCacheEntry() here so that its cache hit and
+      // miss metrics only count requests for that region
+      let cacheEntry;
+      try {
+        cacheEntry = await this.metadataStore.get(sibling.cacheKey(rawUrl));
+      } catch (err) {
+        this.monitor.reportError(err);
+        this.monitor.count('redis.cache-read-failure', 1);
+        continue;
+      }
+
+      if (!cacheEntry || cacheEntry.status !== 'present') {
+        continue;
+      }
+
+      try {
+        await this.seed(rawUrl, sibling, cacheEntry);
+        return true;
+      } catch (err) {
+        this.debug(`error seeding ${rawUrl} from ${sibling.id}: ${err.stack || err}`);
+        this.monitor.reportError(err, 'warning', {sibling: sibling.id});
+        this.monitor.count('seed-failure', 1);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Copy the object for rawUrl which a sibling stores into our storage
+   * provider.  The copy keeps the metadata of the sibling's object, so its
+   * cache entry expires when the sibling's would
+   */
+  async seed(rawUrl, sibling, cacheEntry) {
+    let sourceKey = sibling.objectKey(rawUrl, cacheEntry);
+    let object = await sibling.storageProvider.head(sourceKey);
+    if (!object) {
+      throw new Error(`${sourceKey} is not stored in ${sibling.id}`);
+    }
+
+    let ttl = sibling.remainingTTL(object);
+    if (!(ttl > 0)) {
+      throw new Error(`The copy of ${rawUrl} in ${sibling.id} has expired`);
+    }
+
+    let digests = {};
+    if (cacheEntry.sha256) {
+      digests.sha256 = cacheEntry.sha256;
+      digests.md5 = cacheEntry.md5;
+    }
+
+    let key = this.objectKey(rawUrl, cacheEntry);
+    let headers = _.assign({}, object.headers, {'Content-Length': String(object.size)});
+    let storageMetadata = _.assign({}, object.metadata, {
+      'cloud-mirror-seeded-from': sibling.id,
+    });
+
+    let method;
+    let start = process.hrtime();
+    if (this.storageProvider.canCopyFrom(sibling.storageProvider)) {
+      this.debug(`copying ${rawUrl} from ${sibling.id}`);
+      await this.storageProvider.copyFrom(sibling.storageProvider, sourceKey, key, headers, storageMetadata);
+      method = 'copy';
+    } else {
+      this.debug(`streaming ${rawUrl} from ${sibling.id}`);
+      await this.streamFromSibling(sibling, sourceKey, key, headers, storageMetadata, digests);
+      method = 'stream';
+    }
+
+    let d = process.hrtime(start);
+    let duration = d[0] * 1000 + d[1] / 1000000;
+    this.monitor.measure(`seed-${method}-duration-ms`, duration);
+    this.monitor.count(`source.sibling-${method}`, 1);
+    this.monitor.count(`source.${sibling.id}`, 1);
+    this.debug(`seeded ${rawUrl} from ${sibling.id} with ${method}`);
+
+    // The copy is described by the sibling's object, other than when it was
+    // made and when it expires
+    let description = _.assign(cacheEntries.describeStoredObject(object), {
+      copyDuration: duration,
+      expires: await this.objectExpiry(key),
+    });
+    await this.insertCacheEntry(rawUrl, 'present', ttl, _.assign({}, digests,
+        cacheEntries.describeObject(description)));
+    await this.recordUsage(rawUrl, object.size);
+  }
+
+  /**
+   * Download an object from the world address of a sibling and store it,
+   * verifying it against its size and digests like we do for upstream
+   */
+  async streamFromSibling(sibling, sourceKey, key, headers, storageMetadata, digests) {
+    let address = await sibling.storageProvider.worldAddress(sourceKey);
+    let inputStream = await request(address, {
+      allowUnsafeUrls: !this.ensureSSL,
+      timeout: 1000 * 60 * 60,
+    });
+
+    if (inputStream.statusCode !== 200) {
+      inputStream.resume();
+      throw new Error(`Copy in ${sibling.id} responded with ${inputStream.statusCode}`);
+    }
+
+    let bytes = 0;
+    let sha256 = crypto.createHash('sha256');
+    let md5 = crypto.createHash('md5');
+    inputStream.on('data', chunk => {
+      bytes += chunk.length;
+      sha256.update(chunk);
+      md5.update(chunk);
+    });
+    inputStream.on('aborted', () => {
+      inputStream.emit('error', new Error('Request aborted'));
+    });
+
+    await this.storageProvider.put(key, inputStream, headers, storageMetadata);
+
+    let expected = {'content-length': headers['Content-Length']};
+    if (digests.md5) {
+      expected['content-md5'] = Buffer.from(digests.md5, 'hex').toString('base64');
+    }
+
+    try {
+      verifyContent(expected, {bytes, md5: md5.digest('hex')});
+      if (digests.sha256 && digests.sha256 !== sha256.digest('hex')) {
+        let err = new Error(`SHA-256 of the copy in ${sibling.id} does not match`);
+        err.code = 'ContentMismatch';
+        throw err;
+      }
+    } catch (err) {
+      this.monitor.count('verification-failure', 1);
+      await this.storageProvider.purge(key).catch(purgeErr => {
+        this.monitor.reportError(purgeErr);
+      });
+      throw err;
+    }
+  }
+
+  /**
+   * Check whether content which we have seen before for the url that
+   * inputUrlInfo was fetched from is still stored.  We only trust this when
+   * upstream sent the same strong ETag as last time.  The stored object must
+   * also outlive the new cache entry.  Returns the digests of the content if
+   * it's stored
+   */
+  async findStoredContent(inputUrlInfo) {
+    let etag = inputUrlInfo.headers['etag'];
+    if (!etag || etag.startsWith('W/')) {
+      return undefined;
+    }
+
+    let known;
+    try {
+      known = await this.metadataStore.get(this.contentIndexKey(inputUrlInfo.url));
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.content-index-read-failure', 1);
+      return undefined;
+    }
+
+    if (!known || known.etag !== etag) {
+      return undefined;
+    }
+
+    let object = await this.storageProvider.head(contentKey(known.sha256));
+    if (!object || object.expires.getTime() - Date.now() < this.cacheTTL * 1000) {
+      return undefined;
+    }
+
+    return {sha256: known.sha256, md5: known.md5};
+  }
+
+  /**
+   * Move content from its staging address to its content address, unless an
+   * object which outlives the new cache entry is already there
+   */
+  async storeContent(stagingKey, headers, storageMetadata, digests) {
+    let key = contentKey(digests.sha256);
+    try {
+      let object = await this.storageProvider.head(key);
+      if (object && object.expires.getTime() - Date.now() >= this.cacheTTL * 1000) {
+        this.debug(`content ${digests.sha256} is already stored`);
+        this.monitor.count('dedup-after-copy', 1);
+      } else {
+        await this.storageProvider.copy(stagingKey, key, headers, storageMetadata);
+      }
+    } finally {
+      await this.storageProvider.purge(stagingKey).catch(err => {
+        this.monitor.reportError(err);
+      });
+    }
+  }
+
+  /**
+   * The content index maps the url that content was fetched from, after
+   * following redirects, to its ETag and digests.  It is shared by all cache
+   * managers since the digests don't depend on where the content is stored
+   */
+  contentIndexKey(url) {
+    return 'cas_' + encodeURIComponent(url);
+  }
+
+  async insertContentIndex(inputUrlInfo, digests) {
+    let etag = inputUrlInfo.headers['etag'];
+    if (!etag || etag.startsWith('W/')) {
+      return;
+    }
+
+    let key = this.contentIndexKey(inputUrlInfo.url);
+    try {
+      await this.metadataStore.set(key, _.assign({etag}, digests), this.cacheTTL);
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.content-index-insert-failure', 1);
     }
   }
 
   async getUrlForRedirect(rawUrl) {
     let cacheEntry = await this.readCacheEntry(rawUrl);
 
-    let worldAddress = this.storageProvider.worldAddress(rawUrl);
+    if (!cacheEntry) {
+      cacheEntry = await this.backfillCacheEntry(rawUrl);
+    }
 
-    let outcome = {
-      url: worldAddress,
-    };
+    // Rather than making the client wait for a new copy, we can redirect to
+    // the copy that we still have while it's being refreshed
+    if (!cacheEntry || cacheEntry.status === 'pending' || cacheEntry.status === 'error') {
+      let staleCopy = await this.findStaleCopy(rawUrl);
+      if (staleCopy) {
+        await this.recordAccess(rawUrl);
+        return {
+          status: 'stale',
+          url: await this.storageProvider.worldAddress(rawUrl),
+          object: cacheEntries.describeStoredObject(staleCopy.object),
+          staleFor: staleCopy.staleFor,
+          revalidating: !!cacheEntry && cacheEntry.status === 'pending',
+        };
+      }
+    }
+
+    let outcome = _.assign({
+      url: await this.storageProvider.worldAddress(this.objectKey(rawUrl, cacheEntry)),
+    }, this.readOutcome(cacheEntry));
+
+    if (outcome.status === 'present') {
+      await this.recordAccess(rawUrl);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Turn a cache entry, or its absence, into the status and the fields of
+   * that status which we tell clients about
+   */
+  readOutcome(cacheEntry) {
+    let outcome = {};
 
     if (!cacheEntry) {
       outcome.status = 'absent';
     } else if (cacheEntry.status === 'present') {
       outcome.status = 'present';
+      outcome.object = cacheEntries.readObjectDescription(cacheEntry);
     } else if (cacheEntry.status === 'pending') {
       outcome.status = 'pending';
+      outcome.progress = this.readProgress(cacheEntry);
     } else if (cacheEntry.status === 'error') {
       outcome.status = 'error';
+      outcome.stack = cacheEntry.stack;
+      outcome.attempts = parseInt(cacheEntry.attempts, 10) || 0;
+      outcome.nextRetry = cacheEntry.nextRetry;
+      outcome.retriesExhausted = outcome.attempts >= this.retry.maxAttempts && this.inBackoff(cacheEntry);
+    } else if (cacheEntry.status === 'not-found') {
+      outcome.status = 'not-found';
+      outcome.statusCode = parseInt(cacheEntry.statusCode, 10);
+      outcome.headers = JSON.parse(cacheEntry.headers || '{}');
     } else {
       throw new Error('cacheEntry has invalid state ' + JSON.stringify(cacheEntry));
     }
-    
+
     return outcome;
   }
 
+  /**
+   * Tell what getUrlForRedirect() would about rawUrl, along with the number
+   * of seconds that its cache entry has left.  Unlike getUrlForRedirect(),
+   * this only reads the cache entry, so it never backfills it, counts a hit
+   * or miss or makes the object more recently used
+   */
+  async getStatus(rawUrl) {
+    let cacheEntry = await this.peekCacheEntry(rawUrl);
+
+    let status = _.assign({
+      url: await this.storageProvider.worldAddress(this.objectKey(rawUrl, cacheEntry)),
+    }, this.readOutcome(cacheEntry));
+
+    if (cacheEntry) {
+      try {
+        status.ttl = await this.metadataStore.ttl(this.cacheKey(rawUrl));
+      } catch (err) {
+        this.monitor.reportError(err);
+        this.monitor.count('redis.cache-read-failure', 1);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Number of seconds after its cache entry would have expired that the
+   * stored copy of rawUrl may still be redirected to while it's refreshed.
+   * This is set by the staleWhileRevalidate option of the first allowed
+   * pattern which matches rawUrl
+   */
+  staleWindow(rawUrl) {
+    let pattern = _.find(this.allowedPatterns, x => x.test(rawUrl));
+    return pattern && pattern.staleWhileRevalidate || 0;
+  }
+
+  /**
+   * Find the stored copy of rawUrl if it may be served stale, because it's
+   * still in the storage provider and it's less than the stale window of its
+   * url past its cacheTTL.  Returns the object and the number of seconds
+   * that it has been stale for, or undefined
+   */
+  async findStaleCopy(rawUrl) {
+    let window = this.staleWindow(rawUrl);
+
+    // Objects in the content-addressed layout can't be found by their url
+    if (!window || this.contentAddressed) {
+      return undefined;
+    }
+
+    let object;
+    try {
+      object = await this.storageProvider.head(rawUrl);
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('stale-lookup-failure', 1);
+      return undefined;
+    }
+
+    if (!object || object.metadata['cloud-mirror-upstream-url'] !== rawUrl) {
+      return undefined;
+    }
+
+    let now = Date.now();
+    let stale = new Date(object.metadata['cloud-mirror-stored']).getTime() + this.cacheTTL * 1000;
+
+    // This also catches a missing or invalid stored time
+    if (!(now < stale + window * 1000) || !(object.expires.getTime() > now)) {
+      return undefined;
+    }
+
+    return {
+      object,
+      staleFor: Math.max(0, Math.floor((now - stale) / 1000)),
+    };
+  }
+
+  /**
+   * Return the address in the storage provider of the object for rawUrl
+   * with the given cache entry
+   */
+  objectKey(rawUrl, cacheEntry) {
+    if (this.contentAddressed && cacheEntry && cacheEntry.sha256) {
+      return contentKey(cacheEntry.sha256);
+    }
+    return rawUrl;
+  }
+
+  /**
+   * Number of seconds that the cache entry of a stored object may live for:
+   * until the original copy from upstream is cacheTTL seconds old, and never
+   * after the storage provider removes the object
+   */
+  remainingTTL(object) {
+    let now = Date.now();
+    let stored = new Date(object.metadata['cloud-mirror-stored']).getTime();
+    return Math.floor(Math.min(
+      stored + this.cacheTTL * 1000 - now,
+      object.expires.getTime() - now
+    ) / 1000);
+  }
+
+  /**
+   * A missing cache entry does not mean that the object is not stored.  Redis
+   * might have been flushed or failed over, or it might have dropped the entry
+   * early.  In that case, we rebuild the 'present' entry from the metadata
+   * stored with the object instead of copying it again.  The rebuilt entry
+   * expires when the original one would have, and never after the object
+   * itself.  Returns the rebuilt entry or undefined if there's no object
+   */
+  async backfillCacheEntry(rawUrl) {
+    assert(rawUrl);
+
+    // Objects in the content-addressed layout can't be found by their url
+    if (this.contentAddressed) {
+      return undefined;
+    }
+
+    let object;
+    try {
+      object = await this.storageProvider.head(rawUrl);
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('backfill-failure', 1);
+      return undefined;
+    }
+
+    if (!object || object.metadata['cloud-mirror-upstream-url'] !== rawUrl) {
+      return undefined;
+    }
+
+    let ttl = this.remainingTTL(object);
+
+    // This also catches a missing or invalid stored time
+    if (!(ttl > 0)) {
+      return undefined;
+    }
+
+    let digests = {};
+    if (object.metadata['cloud-mirror-sha256']) {
+      digests.sha256 = object.metadata['cloud-mirror-sha256'];
+      digests.md5 = object.metadata['cloud-mirror-md5'];
+    }
+
+    let fields = _.assign({}, digests,
+        cacheEntries.describeObject(cacheEntries.describeStoredObject(object)));
+
+    this.debug(`backfilling cache entry for ${rawUrl} for ${ttl} seconds`);
+    await this.insertCacheEntry(rawUrl, 'present', ttl, fields);
+    await this.recordUsage(rawUrl, object.size);
+    this.monitor.count('backfill', 1);
+
+    return _.assign({
+      url: rawUrl,
+      status: 'present',
+      version: String(cacheEntries.CACHE_ENTRY_VERSION),
+    }, fields);
+  }
+
+  /**
+   * When the storage provider will remove the object at key, or undefined if
+   * we can't tell
+   */
+  async objectExpiry(key) {
+    try {
+      let object = await this.storageProvider.head(key);
+      return object ? object.expires : undefined;
+    } catch (err) {
+      this.monitor.reportError(err);
+      return undefined;
+    }
+  }
+
   async purge(rawUrl) {
     assert(rawUrl);
-    this.debug(`removing ${rawUrl} from storageProvider`);
-    await this.storageProvider.purge(rawUrl);
-    this.debug(`removed ${rawUrl} from storageProvider`);
+    // Content in the content-addressed layout might be shared by other urls,
+    // so only the cache entry goes away and the content expires on its own
+    if (!this.contentAddressed) {
+      this.debug(`removing ${rawUrl} from storageProvider`);
+      await this.storageProvider.purge(rawUrl);
+      this.debug(`removed ${rawUrl} from storageProvider`);
+    }
     this.debug(`removing cache entry for ${rawUrl}`);
-    await this.redis.delAsync(this.cacheKey(rawUrl));
+    await this.metadataStore.delete(this.cacheKey(rawUrl));
     this.debug(`removed cache entry for ${rawUrl}`);
+    await this.forgetUsage(rawUrl);
+  }
+
+  /**
+   * When we have a quota, the size of each stored object and the time that
+   * it was last redirected to are kept in a usage record, so that the
+   * evictor can find the least recently used objects.  Failing to keep track
+   * of an object is not a reason to fail a copy, so errors of the metadata
+   * store are only reported
+   */
+  usageKey(rawUrl) {
+    return this.id + '_usage_' + encodeURIComponent(rawUrl);
+  }
+
+  async recordUsage(rawUrl, size) {
+    if (!this.quota) {
+      return;
+    }
+    try {
+      await this.metadataStore.set(this.usageKey(rawUrl), {
+        url: rawUrl,
+        size: size,
+        accessed: Date.now(),
+      });
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.usage-insert-failure', 1);
+    }
   }
 
-  async createUrlReadStream(rawUrl) {
+  async recordAccess(rawUrl) {
+    if (!this.quota) {
+      return;
+    }
+    try {
+      // Only objects which we know the size of are tracked
+      let usage = await this.metadataStore.get(this.usageKey(rawUrl));
+      if (usage) {
+        usage.accessed = Date.now();
+        await this.metadataStore.set(this.usageKey(rawUrl), usage);
+      }
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.usage-access-failure', 1);
+    }
+  }
+
+  async forgetUsage(rawUrl) {
+    if (!this.quota) {
+      return;
+    }
+    await this.metadataStore.delete(this.usageKey(rawUrl));
+  }
+
+  /**
+   * Return the usage records of the stored objects that we know of as
+   * {url, size, accessed} objects, starting with the least recently used
+   */
+  async readUsage() {
+    let records = [];
+    for (let key of await this.metadataStore.scan(this.id + '_usage_')) {
+      let usage = await this.metadataStore.get(key);
+      if (usage) {
+        records.push({
+          url: usage.url,
+          size: parseInt(usage.size, 10),
+          accessed: parseInt(usage.accessed, 10),
+        });
+      }
+    }
+    return _.sortBy(records, 'accessed');
+  }
+
+  /**
+   * Start downloading rawUrl from upstream.  The options are:
+   *   - upload: ask for the rest of the content from the offset of this
+   *     upload, but only if upstream still has the ETag that it had when the
+   *     upload was started.  Otherwise upstream sends all of the content with
+   *     a 200 status
+   *   - validators: the etag and lastModified of a copy that we have.  If it
+   *     is still current, upstream responds with a 304 status and no content
+   *
+   * The maxSize of the result is the size limit of rawUrl.  If upstream says
+   * that the resource is larger than that, an error with code 'TooLarge' is
+   * thrown instead
+   */
+  async createUrlReadStream(rawUrl, options = {}) {
     assert(rawUrl);
     let upstreamResource = await this.urlValidator(rawUrl);
 
+    let headers = {
+      'Accept-Encoding': '*',
+    };
+
+    let {upload, validators} = options;
+    if (upload) {
+      headers['Range'] = `bytes=${upload.offset}-`;
+      headers['If-Range'] = upload.etag;
+    }
+
+    if (validators && validators.etag) {
+      headers['If-None-Match'] = validators.etag;
+    }
+    if (validators && validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified;
+    }
+
     let response = await request(upstreamResource.url, {
-      headers: {
-        'Accept-Encoding': '*',
-      },
+      headers: headers,
       allowUnsafeUrls: !this.ensureSSL,
     });
 
     return {
       stream: response,
       url: upstreamResource.url,
+      statusCode: response.statusCode,
       headers: response.headers,
       addresses: upstreamResource.addresses,
+      maxSize: upstreamResource.maxSize,
     };
   }
 
+  /**
+   * The state of a resumable upload is kept next to the cache entry.  Other
+   * than the state from the storage provider, it has the ETag and length of
+   * the content from upstream so that we can tell if it changed
+   */
+  uploadKey(rawUrl) {
+    return this.id + '_upload_' + encodeURIComponent(rawUrl);
+  }
+
+  async readUpload(rawUrl) {
+    try {
+      let value = await this.metadataStore.get(this.uploadKey(rawUrl));
+      return value ? JSON.parse(value.upload) : undefined;
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.upload-read-failure', 1);
+      return undefined;
+    }
+  }
+
+  async saveUpload(rawUrl, upload) {
+    // The lifecycle rules of buckets abort incomplete uploads after a day
+    await this.metadataStore.set(this.uploadKey(rawUrl), {
+      upload: JSON.stringify(upload),
+    }, 24 * 60 * 60);
+  }
+
+  async deleteUpload(rawUrl) {
+    await this.metadataStore.delete(this.uploadKey(rawUrl));
+  }
+
+  /**
+   * Whether an upload from upstream can be resumed later.  That needs
+   * upstream to support range requests and to have a strong ETag, so that we
+   * can tell whether the content changed in between
+   */
+  canResume(inputUrlInfo) {
+    let headers = inputUrlInfo.headers;
+    let size = parseInt(headers['content-length'], 10);
+    return !this.contentAddressed &&
+      headers['accept-ranges'] === 'bytes' &&
+      !!headers['etag'] && !headers['etag'].startsWith('W/') &&
+      size > 0 && this.storageProvider.canResume(size);
+  }
+
   cacheKey(rawUrl) {
     return this.id + '_' + encodeURIComponent(rawUrl);
   }
 
-  async insertCacheEntry(rawUrl, status, ttl, stack) {
+  /**
+   * Return the urls which have a cache entry and start with prefix.  The
+   * other keys that we store for urls, like their leases, start with a name
+   * instead of an encoded url, so they're left out
+   */
+  async listCachedUrls(prefix = '') {
+    let keyPrefix = this.id + '_';
+    let rawUrls = [];
+    for (let key of await this.metadataStore.scan(this.cacheKey(prefix))) {
+      let rawUrl = decodeURIComponent(key.slice(keyPrefix.length));
+      if (/^https?:\/\//.test(rawUrl)) {
+        rawUrls.push(rawUrl);
+      }
+    }
+    return rawUrls;
+  }
+
+  /**
+   * Write the cache entry for a url.  Extra fields to store in the entry, like
+   * the stack of an error or the digests of a present object, are given in
+   * fields
+   */
+  async insertCacheEntry(rawUrl, status, ttl, fields = {}) {
     assert(rawUrl);
     assert(status);
     assert(ttl);
     assert(_.includes(CACHE_STATES, status));
     if (status === 'error') {
-      assert(stack);
+      assert(fields.stack);
     }
 
-    let cacheEntry = {
+    let cacheEntry = _.assign({
+      version: cacheEntries.CACHE_ENTRY_VERSION,
       url: rawUrl,
       status: status,
-    };
+      stack: 'NO ERROR CONDITION',
+    }, fields);
 
-    if (status === 'error') {
-      cacheEntry.stack = stack;
-    } else {
-      cacheEntry.stack = 'NO ERROR CONDITION';
+    // The entry is replaced so that no fields of the previous one are left
+    try {
+      await this.metadataStore.set(this.cacheKey(rawUrl), cacheEntry, ttl);
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.cache-insert-failure', 1);
     }
+  }
 
-    let key = this.cacheKey(rawUrl);
+  /**
+   * Read the cache entry of rawUrl without counting a cache hit or miss, for
+   * when we're not serving a redirect
+   */
+  async peekCacheEntry(rawUrl) {
+    assert(rawUrl);
     try {
-      await this.redis.multi()
-        .hmset(key, cacheEntry)
-        .expire(key, ttl)
-        .execAsync();
+      return await this.metadataStore.get(this.cacheKey(rawUrl));
     } catch (err) {
       this.monitor.reportError(err);
-      this.monitor.count('redis.cache-insert-failure', 1);
+      this.monitor.count('redis.cache-read-failure', 1);
+      return undefined;
     }
   }
 
   async readCacheEntry(rawUrl) {
     assert(rawUrl);
-    let key = this.cacheKey(rawUrl);
     let result = undefined;
     try {
-      result = await this.redis.hgetallAsync(key);
+      result = await this.metadataStore.get(this.cacheKey(rawUrl));
     } catch (err) {
       this.monitor.reportError(err);
       this.monitor.count('redis.cache-read-failure', 1);
@@ -250,10 +1383,45 @@ class CacheManager {
     return result;
   }
 
+  /**
+   * The lease on a url is held by the worker which is copying it
+   */
+  leaseKey(rawUrl) {
+    return this.id + '_lease_' + encodeURIComponent(rawUrl);
+  }
+
+  /**
+   * Ask a back end to copy rawUrl.  Returns false if no request was sent
+   * because rawUrl is already being copied or its last copy failed and may
+   * not be retried yet
+   */
   async requestPut(rawUrl) {
     assert(rawUrl);
+
+    // The worker holding the lease updates the cache entry once it's done,
+    // so another message would only be dropped
+    let holder;
+    try {
+      holder = await Lease.holder(this.metadataStore, this.leaseKey(rawUrl));
+    } catch (err) {
+      this.monitor.reportError(err);
+      this.monitor.count('redis.lease-failure', 1);
+    }
+    if (holder) {
+      this.debug(`not requesting put of ${rawUrl}, ${holder} is copying it`);
+      this.monitor.count('put-request-skipped', 1);
+      return false;
+    }
+
+    let cacheEntry = await this.peekCacheEntry(rawUrl);
+    if (this.inBackoff(cacheEntry)) {
+      this.debug(`not requesting put of ${rawUrl} until ${cacheEntry.nextRetry}`);
+      this.monitor.count('put-request-backoff', 1);
+      return false;
+    }
+
     this.debug(`sending put request for ${rawUrl}`);
-    await this.insertCacheEntry(rawUrl, 'pending', this.cacheTTL);
+    await this.insertCacheEntry(rawUrl, 'pending', this.cacheTTL, this.retryFields(cacheEntry));
     // ID is the identifier for a storage pool.  This is a combination of the
     // service and the subdivison of that service
     await this.queueSender.insert({
@@ -262,9 +1430,12 @@ class CacheManager {
       action: 'put',
     });
     this.debug(`sent put request for ${rawUrl}`);
+    return true;
   }
 }
 
 module.exports = {
   CacheManager,
+  contentKey,
+  verifyContent,
 };
@@ -0,0 +1,58 @@
+let debug = require('debug')('cloud-mirror:evictor');
+let assert = require('assert');
+let _ = require('lodash');
+
+/**
+ * Purge the least recently used objects of a CacheManager until the objects
+ * which it stores fit in its quota again.  Objects are purged through
+ * CacheManager.purge(), so their cache entries go away with them and the
+ * next request copies them again.
+ *
+ * The sizes are the ones that were recorded when the objects were stored.
+ * Objects which the storage provider has already expired are still counted
+ * until they are evicted, which is harmless since purging them is a no-op.
+ *
+ * Options:
+ *   - cacheManager: the CacheManager to evict objects from
+ *   - monitor: taskcluster-lib-monitor instance
+ *
+ * Returns the number of objects and bytes evicted
+ */
+async function evict({cacheManager, monitor}) {
+  assert(cacheManager);
+  assert(monitor);
+
+  let id = cacheManager.id;
+  let quota = cacheManager.quota;
+  assert(quota, `${id} does not have a quota`);
+
+  // Least recently used objects come first
+  let records = await cacheManager.readUsage();
+  let usage = _.sumBy(records, 'size');
+  let evicted = 0;
+  let evictedBytes = 0;
+
+  monitor.measure(`${id}.usage-bytes`, usage);
+  debug(`${id} stores ${usage} of ${quota} bytes`);
+
+  for (let {url, size} of records) {
+    if (usage <= quota) {
+      break;
+    }
+    debug(`evicting ${url} (${size} bytes) from ${id}`);
+    await cacheManager.purge(url);
+    usage -= size;
+    evicted++;
+    evictedBytes += size;
+  }
+
+  monitor.count(`${id}.evicted-objects`, evicted);
+  monitor.count(`${id}.evicted-bytes`, evictedBytes);
+  debug(`evicted ${evicted} objects (${evictedBytes} bytes) from ${id}`);
+
+  return {evicted, evictedBytes};
+}
+
+module.exports = {
+  evict,
+};
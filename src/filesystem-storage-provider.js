@@ -0,0 +1,352 @@
+let StorageProvider = require('./storage-provider.js').StorageProvider;
+let assert = require('assert');
+let crypto = require('crypto');
+let path = require('path');
+let bluebird = require('bluebird');
+let fs = bluebird.promisifyAll(require('fs'));
+let _ = require('lodash');
+
+/**
+ * HTTP Headers which are stored in the metadata sidecar and sent back when the
+ * file is served
+ */
+const StoredHTTPHeaders = [
+  'Content-Type',
+  'Content-Disposition',
+  'Content-MD5',
+  'Content-Encoding',
+  'Content-Length',
+];
+
+/**
+ * HTTP Headers which *must* be specified during an upload
+ */
+const MandatoryHTTPHeaders = ['Content-Type'];
+
+/**
+ * HTTP Headers which *must not* be specified during an upload
+ */
+const DisallowedHTTPHeaders = ['Cache-Control', 'Expires'];
+
+/**
+ * Ignore an error for a file which does not exist
+ */
+function ignoreENOENT(err) {
+  if (err.code !== 'ENOENT') {
+    throw err;
+  }
+}
+
+/**
+ * Implementation of the StorageProvider which stores files in a local
+ * directory.  This is meant for development and testing without any cloud
+ * storage.  The files are served by the /file/:region/:url endpoint of the
+ * API, so the API server and the back end must share the directory.
+ *
+ * Each object is stored in two files named after the SHA256 of the raw url
+ * since urls can be longer than the maximum length of a file name.  The first
+ * has the content and the second, with a '.json' suffix, is the metadata
+ * sidecar which stores the url, HTTP headers and storage metadata
+ */
+class FilesystemStorageProvider extends StorageProvider {
+
+  constructor(config) {
+    super(config);
+    assert(config.directory, 'must specify a directory');
+    assert(config.lifespan, 'must provide lifespan value for files');
+    assert(config.publicUrl, 'must provide the public url of the api');
+    this.directory = path.resolve(config.directory, this.region);
+    this.lifespan = config.lifespan;
+    this.publicUrl = config.publicUrl.replace(/\/$/, '');
+
+    // This is done synchronously so that put() can start listening for errors
+    // on its input stream right away
+    for (let dir of [path.dirname(this.directory), this.directory]) {
+      try {
+        fs.mkdirSync(dir);
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+      }
+    }
+  }
+
+  /**
+   * Return the paths of the content and metadata files for a url
+   */
+  paths(rawUrl) {
+    let hash = crypto.createHash('sha256').update(rawUrl).digest('hex');
+    let content = path.join(this.directory, hash);
+    return {content, metadata: content + '.json'};
+  }
+
+  /**
+   * StorageProvider.put() implementation for the local filesystem
+   */
+  async put(rawUrl, inputStream, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(inputStream, 'must provide an input stream');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    for (let httpHeader of DisallowedHTTPHeaders) {
+      if (headers[httpHeader]) {
+        throw new Error(`The HTTP header ${httpHeader} is not allowed`);
+      }
+    }
+
+    for (let httpHeader of MandatoryHTTPHeaders) {
+      assert(headers[httpHeader], `HTTP Header ${httpHeader} must be specified`);
+    }
+
+    // Files are written under a temporary name and renamed into place once
+    // complete so that a partial file is never served
+    let paths = this.paths(rawUrl);
+    let suffix = `.tmp-${process.pid}-${Date.now()}`;
+
+    this.debug('starting file write');
+    try {
+      await new Promise((res, rej) => {
+        let output = fs.createWriteStream(paths.content + suffix);
+
+        inputStream.on('error', err => {
+          rej(err);
+          output.destroy();
+        });
+        output.on('error', rej);
+        output.on('finish', res);
+
+        inputStream.pipe(output);
+      });
+
+      await fs.writeFileAsync(paths.metadata + suffix, JSON.stringify({
+        url: rawUrl,
+        headers: _.pick(headers, StoredHTTPHeaders),
+        metadata: storageMetadata,
+        stored: new Date().toISOString(),
+      }));
+
+      await fs.renameAsync(paths.content + suffix, paths.content);
+      await fs.renameAsync(paths.metadata + suffix, paths.metadata);
+    } catch (err) {
+      await fs.unlinkAsync(paths.content + suffix).catch(ignoreENOENT);
+      await fs.unlinkAsync(paths.metadata + suffix).catch(ignoreENOENT);
+      throw err;
+    }
+    this.debug('completed file write');
+  }
+
+  /**
+   * StorageProvider.updateMetadata() implementation for the local filesystem
+   */
+  async updateMetadata(rawUrl, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(storageMetadata, 'must provide storage provider metadata');
+    let paths = this.paths(rawUrl);
+    let sidecar = JSON.parse(await fs.readFileAsync(paths.metadata, 'utf8'));
+    sidecar.metadata = storageMetadata;
+
+    let suffix = `.tmp-${process.pid}-${Date.now()}`;
+    await fs.writeFileAsync(paths.metadata + suffix, JSON.stringify(sidecar));
+    await fs.renameAsync(paths.metadata + suffix, paths.metadata);
+  }
+
+  /**
+   * StorageProvider.copy() implementation for the local filesystem
+   */
+  async copy(sourceRawUrl, rawUrl, headers, storageMetadata) {
+    await this.copyFrom(this, sourceRawUrl, rawUrl, headers, storageMetadata);
+  }
+
+  /**
+   * The files of all regions are on the same disk
+   */
+  canCopyFrom(other) {
+    return other instanceof FilesystemStorageProvider;
+  }
+
+  /**
+   * StorageProvider.copyFrom() implementation for the local filesystem
+   */
+  async copyFrom(other, sourceRawUrl, rawUrl, headers, storageMetadata) {
+    assert(other, 'must provide source storage provider');
+    assert(sourceRawUrl, 'must provide raw source url');
+    assert(rawUrl, 'must provide raw input url');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    let source = other.paths(sourceRawUrl);
+    let paths = this.paths(rawUrl);
+    let suffix = `.tmp-${process.pid}-${Date.now()}`;
+
+    try {
+      await fs.copyFileAsync(source.content, paths.content + suffix);
+      await fs.writeFileAsync(paths.metadata + suffix, JSON.stringify({
+        url: rawUrl,
+        headers: _.pick(headers, StoredHTTPHeaders),
+        metadata: storageMetadata,
+        stored: new Date().toISOString(),
+      }));
+
+      await fs.renameAsync(paths.content + suffix, paths.content);
+      await fs.renameAsync(paths.metadata + suffix, paths.metadata);
+    } catch (err) {
+      await fs.unlinkAsync(paths.content + suffix).catch(ignoreENOENT);
+      await fs.unlinkAsync(paths.metadata + suffix).catch(ignoreENOENT);
+      throw err;
+    }
+  }
+
+  /**
+   * StorageProvider.head() implementation for the local filesystem
+   */
+  async head(rawUrl) {
+    assert(rawUrl);
+    let paths = this.paths(rawUrl);
+    let sidecar;
+    let stat;
+    try {
+      sidecar = JSON.parse(await fs.readFileAsync(paths.metadata, 'utf8'));
+      stat = await fs.statAsync(paths.content);
+    } catch (err) {
+      ignoreENOENT(err);
+      return undefined;
+    }
+
+    // sweep() uses the time stored in the sidecar
+    let stored = new Date(sidecar.stored).getTime();
+    return {
+      size: stat.size,
+      headers: _.omit(sidecar.headers, 'Content-Length'),
+      metadata: sidecar.metadata,
+      expires: new Date(stored + this.lifespan * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * StorageProvider.list() implementation for the local filesystem.  The
+   * marker is the name of the last sidecar of the previous page
+   */
+  async list(marker, limit) {
+    let names;
+    try {
+      names = await fs.readdirAsync(this.directory);
+    } catch (err) {
+      ignoreENOENT(err);
+      return {rawUrls: [], marker: undefined};
+    }
+
+    names = names.filter(x => x.endsWith('.json') && (!marker || x > marker)).sort();
+    let page = names.slice(0, limit);
+
+    let rawUrls = [];
+    for (let name of page) {
+      try {
+        let sidecar = JSON.parse(await fs.readFileAsync(path.join(this.directory, name), 'utf8'));
+        rawUrls.push(sidecar.url);
+      } catch (err) {
+        ignoreENOENT(err);
+      }
+    }
+
+    return {
+      rawUrls,
+      marker: names.length > limit ? page[page.length - 1] : undefined,
+    };
+  }
+
+  /**
+   * StorageProvider.purge() implementation for the local filesystem
+   */
+  async purge(rawUrl) {
+    this.debug(`purging ${rawUrl} from ${this.directory}`);
+    let paths = this.paths(rawUrl);
+    await fs.unlinkAsync(paths.metadata).catch(ignoreENOENT);
+    await fs.unlinkAsync(paths.content).catch(ignoreENOENT);
+    this.debug(`purged ${rawUrl} from ${this.directory}`);
+  }
+
+  /**
+   * Files are served by the API itself
+   */
+  worldAddress(rawUrl) {
+    assert(rawUrl);
+    return `${this.publicUrl}/file/${this.region}/${encodeURIComponent(rawUrl)}`;
+  }
+
+  /**
+   * Open a stored file for serving.  Returns undefined if the file does not
+   * exist, otherwise an object with the HTTP headers to send and a readable
+   * stream of the content
+   */
+  async read(rawUrl) {
+    assert(rawUrl);
+    let paths = this.paths(rawUrl);
+    let sidecar;
+    try {
+      sidecar = JSON.parse(await fs.readFileAsync(paths.metadata, 'utf8'));
+    } catch (err) {
+      ignoreENOENT(err);
+      return undefined;
+    }
+
+    let stream = fs.createReadStream(paths.content);
+    // Wait for the file to be opened so that a file that was purged between
+    // reading the sidecar and here is reported as missing
+    try {
+      await new Promise((res, rej) => {
+        stream.on('open', res);
+        stream.on('error', rej);
+      });
+    } catch (err) {
+      ignoreENOENT(err);
+      return undefined;
+    }
+
+    return {
+      headers: sidecar.headers,
+      stream: stream,
+    };
+  }
+
+  /**
+   * Delete all files which were stored more than 'lifespan' days ago.  This is
+   * the equivalent of the expiration lifecycle rule that we set on S3 buckets.
+   * Returns the number of files which were deleted
+   */
+  async sweep() {
+    let cutoff = Date.now() - this.lifespan * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+    let names;
+
+    try {
+      names = await fs.readdirAsync(this.directory);
+    } catch (err) {
+      ignoreENOENT(err);
+      return 0;
+    }
+
+    for (let name of names.filter(x => x.endsWith('.json'))) {
+      let sidecar;
+      try {
+        sidecar = JSON.parse(await fs.readFileAsync(path.join(this.directory, name), 'utf8'));
+      } catch (err) {
+        ignoreENOENT(err);
+        continue;
+      }
+      if (new Date(sidecar.stored).getTime() < cutoff) {
+        await this.purge(sidecar.url);
+        deleted++;
+      }
+    }
+
+    this.debug(`swept ${deleted} files from ${this.directory}`);
+    return deleted;
+  }
+
+}
+
+module.exports = {
+  FilesystemStorageProvider,
+};
@@ -0,0 +1,284 @@
+let StorageProvider = require('./storage-provider.js').StorageProvider;
+let assert = require('assert');
+let debug = require('debug')('cloud-mirror:gcs-storage-provider');
+let _ = require('lodash');
+
+/**
+ * Mapping of HTTP Headers to GCS object metadata properties since they don't
+ * use the same string.  GCS wants the base64 encoded MD5 sum, which is exactly
+ * what the Content-MD5 header contains
+ */
+const HTTPHeaderToGCSProp = {
+  'Content-Type': 'contentType',
+  'Content-Disposition': 'contentDisposition',
+  'Content-MD5': 'md5Hash',
+  'Content-Encoding': 'contentEncoding',
+};
+
+/**
+ * HTTP Headers which *must* be specified during an upload
+ */
+const MandatoryHTTPHeaders = ['Content-Type'];
+
+/**
+ * HTTP Headers which *must not* be specified during an upload
+ */
+const DisallowedHTTPHeaders = ['Cache-Control', 'Expires'];
+
+/**
+ * Implementation of the StorageProvider for Google Cloud Storage
+ */
+class GCSStorageProvider extends StorageProvider {
+
+  constructor(config) {
+    super(config);
+    assert(config.bucket, 'must specify a gcs bucket');
+    assert(config.storage, 'must provide a GCS Storage object');
+    assert(config.acl, 'must provide predefined acl value for objects');
+    assert(config.lifespan, 'must provide lifespan value for bucket');
+    assert(config.publicUrl, 'must provide a public url for objects');
+    this.bucket = config.bucket;
+    this.storage = config.storage;
+    this.acl = config.acl;
+    this.lifespan = config.lifespan;
+    this.publicUrl = config.publicUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * StorageProvider.put() implementation for GCS
+   */
+  async put(rawUrl, inputStream, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(inputStream, 'must provide an input stream');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    let metadata = {
+      metadata: storageMetadata,
+    };
+
+    for (let httpHeader of DisallowedHTTPHeaders) {
+      if (headers[httpHeader]) {
+        throw new Error(`The HTTP header ${httpHeader} is not allowed`);
+      }
+    }
+
+    _.forEach(HTTPHeaderToGCSProp, (gcsProp, httpHeader) => {
+      if (_.includes(MandatoryHTTPHeaders, httpHeader)) {
+        assert(headers[httpHeader], `HTTP Header ${httpHeader} must be specified`);
+      }
+      if (headers[httpHeader]) {
+        metadata[gcsProp] = headers[httpHeader];
+      }
+    });
+
+    // We use a simple (non-resumable) upload here because the resumable
+    // uploads in the GCS library keep their state in a local config file which
+    // would not survive a retry on another machine anyway
+    let upload = this.storage.bucket(this.bucket).file(rawUrl).createWriteStream({
+      resumable: false,
+      predefinedAcl: this.acl,
+      metadata: metadata,
+    });
+
+    this.debug('starting GCS upload');
+    await new Promise((res, rej) => {
+      // Just like for S3, errors on the input stream (including the ones
+      // emitted for aborted requests by the cache-manager) must abort the
+      // upload
+      inputStream.on('error', err => {
+        rej(err);
+        upload.destroy(err);
+      });
+
+      let abortTimer = setTimeout(() => {
+        upload.destroy(new Error('GCS upload timed out'));
+      }, 1000 * 60 * 60);
+
+      upload.on('error', err => {
+        clearTimeout(abortTimer);
+        debug('upload error');
+        debug(err.stack || err);
+        rej(err);
+      });
+
+      upload.on('finish', () => {
+        clearTimeout(abortTimer);
+        res();
+      });
+
+      inputStream.pipe(upload);
+    });
+    this.debug('completed GCS upload');
+  }
+
+  /**
+   * StorageProvider.updateMetadata() implementation for GCS.  Custom metadata
+   * is merged by GCS, so we don't need to send the HTTP headers again
+   */
+  async updateMetadata(rawUrl, headers, storageMetadata) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(storageMetadata, 'must provide storage provider metadata');
+    await this.storage.bucket(this.bucket).file(rawUrl).setMetadata({
+      metadata: storageMetadata,
+    });
+  }
+
+  /**
+   * StorageProvider.copy() implementation for GCS
+   */
+  async copy(sourceRawUrl, rawUrl, headers, storageMetadata) {
+    await this.copyFrom(this, sourceRawUrl, rawUrl, headers, storageMetadata);
+  }
+
+  /**
+   * GCS can copy objects between any of our buckets
+   */
+  canCopyFrom(other) {
+    return other instanceof GCSStorageProvider;
+  }
+
+  /**
+   * StorageProvider.copyFrom() implementation for GCS.  The object resource we
+   * send replaces the metadata of the copy, so it needs the HTTP headers too
+   */
+  async copyFrom(other, sourceRawUrl, rawUrl, headers, storageMetadata) {
+    assert(other, 'must provide source storage provider');
+    assert(sourceRawUrl, 'must provide raw source url');
+    assert(rawUrl, 'must provide raw input url');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    let options = {
+      predefinedAcl: this.acl,
+      metadata: storageMetadata,
+    };
+
+    _.forEach(HTTPHeaderToGCSProp, (gcsProp, httpHeader) => {
+      if (headers[httpHeader]) {
+        options[gcsProp] = headers[httpHeader];
+      }
+    });
+
+    let source = other.storage.bucket(other.bucket).file(sourceRawUrl);
+    await source.copy(this.storage.bucket(this.bucket).file(rawUrl), options);
+  }
+
+  /**
+   * StorageProvider.head() implementation for GCS
+   */
+  async head(rawUrl) {
+    assert(rawUrl);
+    let metadata;
+    try {
+      [metadata] = await this.storage.bucket(this.bucket).file(rawUrl).getMetadata();
+    } catch (err) {
+      if (err.code === 404) {
+        return undefined;
+      }
+      throw err;
+    }
+
+    // The age condition of the lifecycle rule counts from the creation time
+    let created = new Date(metadata.timeCreated).getTime();
+    let headers = {};
+    _.forEach(HTTPHeaderToGCSProp, (gcsProp, httpHeader) => {
+      if (metadata[gcsProp]) {
+        headers[httpHeader] = metadata[gcsProp];
+      }
+    });
+
+    return {
+      size: parseInt(metadata.size, 10),
+      headers,
+      metadata: metadata.metadata || {},
+      expires: new Date(created + this.lifespan * 24 * 60 * 60 * 1000),
+    };
+  }
+
+  /**
+   * StorageProvider.list() implementation for GCS
+   */
+  async list(marker, limit) {
+    let [files, nextQuery] = await this.storage.bucket(this.bucket).getFiles({
+      autoPaginate: false,
+      maxResults: limit,
+      pageToken: marker,
+    });
+
+    return {
+      rawUrls: files.map(x => x.name),
+      marker: nextQuery ? nextQuery.pageToken : undefined,
+    };
+  }
+
+  /**
+   * StorageProvider.purge() implementation for GCS
+   */
+  async purge(rawUrl) {
+    this.debug(`purging ${rawUrl} from ${this.bucket}`);
+    try {
+      await this.storage.bucket(this.bucket).file(rawUrl).delete();
+    } catch (err) {
+      if (err.code !== 404) {
+        throw err;
+      }
+    }
+    this.debug(`purged ${rawUrl} from ${this.bucket}`);
+  }
+
+  /**
+   * Create a GCS URL for an object stored in this GCS storage provider
+   */
+  worldAddress(rawUrl) {
+    assert(rawUrl);
+    return `${this.publicUrl}/${this.bucket}/${encodeURIComponent(rawUrl)}`;
+  }
+
+}
+
+/**
+ * Create a GCS Bucket in a specified location with the given name.  All
+ * objects will be deleted after 'lifecycleDays' days have elapsed.  Unlike S3,
+ * the public-read permission is given to each object on upload through the
+ * predefined ACL instead of on the bucket
+ */
+async function createGCSBucket(storage, name, region, lifecycleDays = 1) {
+  assert(storage);
+  assert(name);
+  assert(region);
+  assert(typeof lifecycleDays === 'number');
+
+  let lifecycle = {
+    rule: [
+      {
+        action: {type: 'Delete'},
+        condition: {age: lifecycleDays},
+      },
+    ],
+  };
+
+  try {
+    debug(`Creating GCS Bucket ${name} in ${region}`);
+    await storage.createBucket(name, {
+      location: region,
+      lifecycle: lifecycle,
+    });
+    debug(`Created GCS Bucket ${name} in ${region}`);
+  } catch (err) {
+    // GCS uses 409 for both a bucket owned by someone else and one that we
+    // already own.  In the first case, setting the lifecycle will fail below
+    if (err.code !== 409) {
+      throw err;
+    }
+  }
+
+  debug(`Setting GCS lifecycle configuration for ${name} in ${region}`);
+  await storage.bucket(name).setMetadata({lifecycle});
+  debug(`Set GCS lifecycle configuration for ${name} in ${region}`);
+}
+
+module.exports = {
+  GCSStorageProvider,
+  createGCSBucket,
+};
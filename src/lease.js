@@ -0,0 +1,95 @@
+let debug = require('debug')('cloud-mirror:lease');
+let assert = require('assert');
+let os = require('os');
+let slugid = require('slugid');
+
+/**
+ * Identify this process as the owner of leases.  Each lease gets its own slug
+ * so that two copies in the same process can't renew each other's lease
+ */
+function ownerId() {
+  return `${os.hostname()}-${process.pid}-${slugid.nice()}`;
+}
+
+/**
+ * A lease is a key of a MetadataStore which at most one owner holds at a
+ * time.  It expires after ttl milliseconds unless its owner renews it, so the
+ * lease of a worker which dies is eventually taken over by another.  Renewing
+ * and releasing only touch the key while we still own it
+ */
+class Lease {
+  constructor({store, key, ttl}) {
+    assert(store, 'must provide a metadata store');
+    assert(key, 'must provide a key');
+    assert(typeof ttl === 'number' && ttl > 0, 'ttl must be a positive number');
+    this.store = store;
+    this.key = key;
+    this.ttl = ttl;
+    this.owner = ownerId();
+    this.renewTimer = undefined;
+  }
+
+  /**
+   * Take the lease if nobody holds it.  Returns true if we now own it
+   */
+  async acquire() {
+    return await this.store.compareAndSet(this.key, undefined, {owner: this.owner}, this.ttl / 1000);
+  }
+
+  /**
+   * Extend the lease by another ttl.  Returns false if we no longer own it
+   */
+  async renew() {
+    let value = {owner: this.owner};
+    return await this.store.compareAndSet(this.key, value, value, this.ttl / 1000);
+  }
+
+  /**
+   * Renew the lease every third of its ttl until release() is called, so that
+   * it doesn't expire during long copies.  onLost is called if the lease
+   * can't be renewed because someone else owns it
+   */
+  keepAlive(onLost = () => {}) {
+    assert(!this.renewTimer, 'lease is already kept alive');
+    this.renewTimer = setInterval(async () => {
+      try {
+        if (!await this.renew()) {
+          debug(`lost lease ${this.key}`);
+          this.stopRenewing();
+          onLost();
+        }
+      } catch (err) {
+        // The next renewal might work, and the lease lasts until then
+        debug(`failed to renew lease ${this.key}: ${err.stack || err}`);
+      }
+    }, this.ttl / 3);
+  }
+
+  stopRenewing() {
+    if (this.renewTimer) {
+      clearInterval(this.renewTimer);
+      this.renewTimer = undefined;
+    }
+  }
+
+  /**
+   * Stop renewing and give up the lease.  Returns false if we no longer
+   * owned it
+   */
+  async release() {
+    this.stopRenewing();
+    return await this.store.compareAndSet(this.key, {owner: this.owner}, undefined);
+  }
+
+  /**
+   * Return the owner of the lease at key, or undefined if nobody holds it
+   */
+  static async holder(store, key) {
+    let value = await store.get(key);
+    return value ? value.owner : undefined;
+  }
+}
+
+module.exports = {
+  Lease,
+};
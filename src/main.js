@@ -21,6 +21,21 @@ let aws = require('aws-sdk');
 let CacheManager = require('./cache-manager').CacheManager;
 let S3StorageProvider = require('./s3-storage-provider').S3StorageProvider;
 let createS3Bucket = require('./s3-storage-provider').createS3Bucket;
+let GCSStorageProvider = require('./gcs-storage-provider').GCSStorageProvider;
+let createGCSBucket = require('./gcs-storage-provider').createGCSBucket;
+let Storage = require('@google-cloud/storage').Storage;
+let AzureBlobStorageProvider = require('./azure-blob-storage-provider').AzureBlobStorageProvider;
+let createAzureContainer = require('./azure-blob-storage-provider').createAzureContainer;
+let expireAzureBlobs = require('./azure-blob-storage-provider').expireAzureBlobs;
+let azure = require('azure-storage');
+let FilesystemStorageProvider = require('./filesystem-storage-provider').FilesystemStorageProvider;
+let rebuildCache = require('./rebuild-cache').rebuildCache;
+let evict = require('./evictor').evict;
+let RedisMetadataStore = require('./redis-metadata-store').RedisMetadataStore;
+let MemoryMetadataStore = require('./memory-metadata-store').MemoryMetadataStore;
+let MemoryQueue = require('./memory-queue').MemoryQueue;
+let RegionSelector = require('./region-selector').RegionSelector;
+let readIpRanges = require('./region-selector').readIpRanges;
 let sqsSimple = require('sqs-simple');
 
 let bluebird = require('bluebird');
@@ -38,11 +53,29 @@ let testBucket;
 /**
  * Take a list of string regular expressions, verify that they meet conditions
  * that we've established as valid for allowed patterns and return a list of
- * regular expression objects
+ * regular expression objects.  A pattern can also be given as an object with
+ * a `pattern` and the `maxSize` in bytes of resources matching it, which is
+ * set as the `maxSize` property of its regular expression
  */
 function compilePatterns(patterns) {
   let regexps = [];
-  for (let pattern of patterns) {
+  for (let entry of patterns) {
+    let pattern = entry;
+    let maxSize;
+    let staleWhileRevalidate;
+    if (typeof entry === 'object') {
+      pattern = entry.pattern;
+      maxSize = entry.maxSize;
+      staleWhileRevalidate = entry.staleWhileRevalidate;
+      if (maxSize !== undefined && (typeof maxSize !== 'number' || maxSize <= 0)) {
+        throw new Error(`Maximum size of allowed pattern ${pattern} must be a positive number`);
+      }
+      if (staleWhileRevalidate !== undefined &&
+          (typeof staleWhileRevalidate !== 'number' || staleWhileRevalidate < 0)) {
+        throw new Error(`Stale window of allowed pattern ${pattern} must be a number of seconds`);
+      }
+    }
+
     if (!pattern.startsWith('^')) {
       throw new Error('All allowed patterns must start with ^ character');
     }
@@ -51,12 +84,46 @@ function compilePatterns(patterns) {
       throw new Error('All allowed patterns must end with / character');
     }
 
-    regexps.push(new RegExp(pattern));
+    let regexp = new RegExp(pattern);
+    regexp.maxSize = maxSize;
+    regexp.staleWhileRevalidate = staleWhileRevalidate;
+    regexps.push(regexp);
   }
 
   return regexps;
 }
 
+/**
+ * Take a comma separated list of regions from the configuration and return a
+ * list of region names.  An empty value means that no regions are configured
+ * for that service
+ */
+function listRegions(regions) {
+  if (!regions) {
+    return [];
+  }
+  return regions.split(',');
+}
+
+/**
+ * Return the configuration of the S3 compatible store backing a region, or
+ * undefined for regions which are real S3 regions
+ */
+function s3Endpoint(cfg, region) {
+  return (cfg.backend.s3.endpoints || {})[region];
+}
+
+/**
+ * Look up the url of our SQS queue, or of the queue with suffix added to its
+ * name, like its dead letter queue
+ */
+function getQueueUrl(cfg, sqs, suffix = '') {
+  return sqsSimple.getQueueUrl({
+    sqs,
+    queueName: cfg.sqsSimple.queueName + suffix,
+  });
+}
+
 // Create component loader
 let load = base.loader({
   cfg: {
@@ -64,12 +131,21 @@ let load = base.loader({
     setup: ({profile}) => config({profile}),
   },
 
-  redis: {
+  // The in-memory metadata store is only shared by the components of a single
+  // process, so it's only useful for development with 'node lib/main.js all'
+  metadataStore: {
     requires: ['cfg'],
     setup: ({cfg}) => {
-      assert(cfg.redis, 'Must specify redis server');
-      debug('Redis config: %j', cfg.redis);
-      return redis.createClient(cfg.redis);
+      switch (cfg.metadataStore.type) {
+        case 'redis':
+          assert(cfg.redis, 'Must specify redis server');
+          debug('Redis config: %j', cfg.redis);
+          return new RedisMetadataStore({redis: redis.createClient(cfg.redis)});
+        case 'memory':
+          return new MemoryMetadataStore();
+        default:
+          throw new Error(`Unknown metadata store type ${cfg.metadataStore.type}`);
+      }
     },
   },
 
@@ -117,17 +193,26 @@ let load = base.loader({
   },
 
   api: {
-    requires: ['cfg', 'validator', 'redis', 'cacheManagers', 'monitor'],
-    setup: ({cfg, validator, redis, cacheManagers, monitor}) => v1.setup(
+    requires: ['cfg', 'validator', 'metadataStore', 'cacheManagers', 'monitor', 'fsSweeper'],
+    setup: ({cfg, validator, metadataStore, cacheManagers, monitor}) => v1.setup(
       {
         context: {
           validator: validator,
-          redis: redis,
+          metadataStore: metadataStore,
           cacheManagers: cacheManagers,
           maxWaitForCachedCopy: cfg.app.maxWaitForCachedCopy,
           allowedPatterns: compilePatterns(cfg.app.allowedPatterns),
+          maxSize: cfg.app.maxSize,
           redirectLimit: cfg.app.redirectLimit,
           ensureSSL: cfg.app.ensureSSL,
+          prefetch: cfg.app.prefetch,
+          bulkPurge: cfg.app.bulkPurge,
+          regionSelector: new RegionSelector({
+            cacheManagers: cacheManagers,
+            ranges: readIpRanges(cfg.app.regionSelection.ipRanges),
+            hintHeader: cfg.app.regionSelection.hintHeader,
+            defaultRegion: cfg.app.regionSelection.defaultRegion,
+          }),
           monitor: monitor.prefix('api'),
         },
         validator: validator,
@@ -146,6 +231,12 @@ let load = base.loader({
     requires: ['cfg', 'api', 'monitor'],
     setup: ({cfg, api}) => {
       let app = base.app(cfg.server);
+      // taskcluster-lib-app only trusts the proxy for forcing SSL.  Express
+      // has to trust it too for req.ip to be the address of the client
+      // rather than that of the proxy, which choosing a region relies on
+      if (cfg.server.trustProxy) {
+        app.set('trust proxy', true);
+      }
       app.use('/v1', api);
       return app.createServer();
     },
@@ -164,40 +255,42 @@ let load = base.loader({
   queueUrl: {
     requires: ['cfg', 'sqs'],
     setup: async ({cfg, sqs}) => {
-      return sqsSimple.getQueueUrl({
-        sqs,
-        queueName: cfg.sqsSimple.queueName,
-      });
+      return getQueueUrl(cfg, sqs);
     },
   },
 
-  deadQueueUrl: {
-    requires: ['cfg', 'sqs', 'profile'],
-    setup: async ({cfg, sqs, profile}) => {
-      return sqsSimple.getQueueUrl({
-        sqs,
-        queueName: cfg.sqsSimple.queueName + cfg.sqsSimple.deadLetterSuffix,
-      });
-    },
+  // The in-process queue is only shared by the components of a single
+  // process, so like the in-memory metadata store it's only useful for
+  // development with 'node lib/main.js all', where it saves needing SQS
+  memoryQueue: {
+    requires: [],
+    setup: () => new MemoryQueue(),
   },
 
   queueSender: {
-    requires: ['cfg', 'sqs', 'queueUrl'],
-    setup: async ({cfg, sqs, queueUrl}) => {
-      return new sqsSimple.QueueSender({sqs, queueUrl});
+    requires: ['cfg', 'sqs', 'memoryQueue'],
+    setup: async ({cfg, sqs, memoryQueue}) => {
+      switch (cfg.queue.type) {
+        case 'sqs':
+          return new sqsSimple.QueueSender({sqs, queueUrl: await getQueueUrl(cfg, sqs)});
+        case 'memory':
+          return memoryQueue;
+        default:
+          throw new Error(`Unknown queue type ${cfg.queue.type}`);
+      }
     },
   },
 
   queueListenerFactory: {
-    requires: ['cfg', 'sqs', 'queueUrl', 'cacheManagers', 'profile', 'monitor'],
-    setup: async ({cfg, sqs, queueUrl, cacheManagers, profile, monitor}) => {
-      return async function() {
-        let listenerOpts = _.pick(cfg.sqsSimple, ['maxReceiveCount', 'visibilityTimeout', 'deadLetterSuffix']);
-
-        listenerOpts.queueUrl = queueUrl;
-        listenerOpts.sqs = sqs;
+    requires: ['cfg', 'sqs', 'memoryQueue', 'cacheManagers', 'profile', 'monitor'],
+    setup: async ({cfg, sqs, memoryQueue, cacheManagers, profile, monitor}) => {
+      let queueUrl;
+      if (cfg.queue.type !== 'memory') {
+        queueUrl = await getQueueUrl(cfg, sqs);
+      }
 
-        listenerOpts.handler = async (msg, changeTimeout) => {
+      return async function() {
+        let handler = async (msg, changeTimeout) => {
           debug('received message!');
           assert(typeof msg.id === 'string', 'id must be string');
           assert(typeof msg.url === 'string', 'url must be string');
@@ -207,8 +300,17 @@ let load = base.loader({
 
           await Promise.all(selectedCacheManagers.map(x => x.put(msg.url)));
         };
-        
-        let listener = new sqsSimple.QueueListener(listenerOpts);
+
+        let listener;
+        if (cfg.queue.type === 'memory') {
+          listener = memoryQueue.listener(handler);
+        } else {
+          let listenerOpts = _.pick(cfg.sqsSimple, ['maxReceiveCount', 'visibilityTimeout', 'deadLetterSuffix']);
+          listenerOpts.queueUrl = queueUrl;
+          listenerOpts.sqs = sqs;
+          listenerOpts.handler = handler;
+          listener = new sqsSimple.QueueListener(listenerOpts);
+        }
 
         listener.on('error', (err, errType) => {
           let level = errType === 'payload' ? 'debug' : 'warning';
@@ -225,12 +327,18 @@ let load = base.loader({
     },
   },
 
+  // The in-process queue has no dead letter queue, so there's no listener
+  // for it
   deadQueueListener: {
-    requires: ['cfg', 'sqs', 'deadQueueUrl', 'monitor'],
-    setup: async ({cfg, sqs, deadQueueUrl, monitor}) => {
+    requires: ['cfg', 'sqs', 'monitor'],
+    setup: async ({cfg, sqs, monitor}) => {
+      if (cfg.queue.type === 'memory') {
+        return undefined;
+      }
+
       let listenerOpts = _.pick(cfg.sqsSimple, ['maxReceiveCount', 'visibilityTimeout', 'deadLetterSuffix']);
 
-      listenerOpts.queueUrl = deadQueueUrl;
+      listenerOpts.queueUrl = await getQueueUrl(cfg, sqs, cfg.sqsSimple.deadLetterSuffix);
       listenerOpts.sqs = sqs;
 
       listenerOpts.handler = async (msg, changeTimeout) => {
@@ -253,7 +361,7 @@ let load = base.loader({
   },
 
   backend: {
-    requires: ['cfg', 'queueListenerFactory', 'deadQueueListener'],
+    requires: ['cfg', 'queueListenerFactory', 'deadQueueListener', 'fsSweeper'],
     setup: async ({cfg, queueListenerFactory, deadQueueListener}) => {
       let queues = [];
       for (let x = 0; x < cfg.backend.count; x++) { 
@@ -262,7 +370,9 @@ let load = base.loader({
         queue.start();
       }
 
-      deadQueueListener.start();
+      if (deadQueueListener) {
+        deadQueueListener.start();
+      }
       return queues;
     },
   },
@@ -283,6 +393,19 @@ let load = base.loader({
 
         awsCfg.region = region;
 
+        // Regions backed by an S3 compatible store have their own endpoint,
+        // credentials and the region name which that store expects
+        let endpoint = s3Endpoint(cfg, region);
+        if (endpoint) {
+          awsCfg.region = endpoint.signingRegion || 'us-east-1';
+          awsCfg.endpoint = endpoint.endpoint;
+          awsCfg.s3ForcePathStyle = !!endpoint.pathStyle;
+          if (endpoint.accessKeyId) {
+            awsCfg.accessKeyId = endpoint.accessKeyId;
+            awsCfg.secretAccessKey = endpoint.secretAccessKey;
+          }
+        }
+
         let s3Debugger = debugModule('cloud-mirror:aws-s3:' + region);
 
         let awsDebugLoggerBridge = {
@@ -303,25 +426,120 @@ let load = base.loader({
   s3buckets: {
     requires: ['cfg', 'profile', 'monitor', 's3Factory'],
     setup: async ({cfg, profile, monitor, s3Factory}) => {
-      let s3Regions = cfg.backend.s3.regions.split(',');
+      let s3Regions = listRegions(cfg.backend.s3.regions);
       await Promise.all(s3Regions.map(async region => {
         let bucket = cfg.backend.s3.bucketBase + profile + '-' + region;
         let acl = cfg.backend.s3.acl;
         let lifespan = cfg.backend.s3.lifespan;
         let s3 = await s3Factory(region);
-        await createS3Bucket(s3, bucket, region, acl, lifespan);
+        let endpoint = s3Endpoint(cfg, region);
+        if (endpoint) {
+          await createS3Bucket(s3, bucket, endpoint.signingRegion || 'us-east-1', acl, lifespan, {
+            pathStyle: endpoint.pathStyle,
+          });
+        } else {
+          await createS3Bucket(s3, bucket, region, acl, lifespan);
+        }
         console.log('Finished %s', region);
       }));
       console.log('Finished all regions');
     },
   },
 
+  /*
+   * A GCS Storage object isn't bound to a region, so unlike with S3 we share
+   * a single one between all of the GCS storage providers
+   */
+  gcs: {
+    requires: ['cfg'],
+    setup: async ({cfg}) => {
+      return new Storage(_.pick(cfg.backend.gcs, [
+        'projectId',
+        'credentials',
+        'apiEndpoint',
+      ]));
+    },
+  },
+
+  gcsBuckets: {
+    requires: ['cfg', 'profile', 'gcs'],
+    setup: async ({cfg, profile, gcs}) => {
+      let gcsRegions = listRegions(cfg.backend.gcs.regions);
+      await Promise.all(gcsRegions.map(async region => {
+        let bucket = cfg.backend.gcs.bucketBase + profile + '-' + region;
+        let lifespan = cfg.backend.gcs.lifespan;
+        await createGCSBucket(gcs, bucket, region, lifespan);
+        console.log('Finished %s', region);
+      }));
+      console.log('Finished all regions');
+    },
+  },
+
+  /*
+   * Each Azure region is backed by a storage account in that region, so we
+   * need a BlobService for each of them.  An account is configured either with
+   * a connection string (e.g. 'UseDevelopmentStorage=true' for an emulator) or
+   * with the account name and access key
+   */
+  azureFactory: {
+    requires: ['cfg'],
+    setup: async ({cfg}) => {
+      return function(region) {
+        let account = (cfg.backend.azure.accounts || {})[region];
+        assert(account, `Must specify an Azure storage account for ${region}`);
+        if (account.connectionString) {
+          return azure.createBlobService(account.connectionString);
+        }
+        return azure.createBlobService(account.account, account.accessKey);
+      };
+    },
+  },
+
+  azureContainers: {
+    requires: ['cfg', 'profile', 'azureFactory'],
+    setup: async ({cfg, profile, azureFactory}) => {
+      let azureRegions = listRegions(cfg.backend.azure.regions);
+      await Promise.all(azureRegions.map(async region => {
+        let container = cfg.backend.azure.containerBase + profile;
+        await createAzureContainer(azureFactory(region), container);
+        console.log('Finished %s', region);
+      }));
+      console.log('Finished all regions');
+    },
+  },
+
+  // Azure doesn't let us set an expiration lifecycle on containers through the
+  // storage API, so this process deletes blobs which are older than the
+  // lifespan instead
+  azureSweeper: {
+    requires: ['cfg', 'profile', 'monitor', 'azureFactory'],
+    setup: async ({cfg, profile, monitor, azureFactory}) => {
+      let azureRegions = listRegions(cfg.backend.azure.regions);
+      let container = cfg.backend.azure.containerBase + profile;
+
+      while (true) {
+        for (let region of azureRegions) {
+          try {
+            let deleted = await expireAzureBlobs(azureFactory(region), container,
+                cfg.backend.azure.lifespan);
+            monitor.count(`azure-${region}.expired-blobs`, deleted);
+            console.log(`Expired ${deleted} blobs in ${region}`);
+          } catch (err) {
+            monitor.reportError(err, 'warning', {region});
+            debug('%s', err.stack || err);
+          }
+        }
+        await new Promise(accept => setTimeout(accept, cfg.backend.azure.sweepInterval * 1000));
+      }
+    },
+  },
+
   cacheManagers: {
-    requires: ['cfg', 'redis', 'profile', 'queueSender', 'monitor', 's3Factory'],
-    setup: async ({cfg, redis, profile, queueSender, monitor, s3Factory}) => {
+    requires: ['cfg', 'metadataStore', 'profile', 'queueSender', 'monitor', 's3Factory', 'gcs', 'azureFactory'],
+    setup: async ({cfg, metadataStore, profile, queueSender, monitor, s3Factory, gcs, azureFactory}) => {
 
-      let cacheManagers = [];
-      let s3regions = cfg.backend.s3.regions.split(',');
+      let storageProviders = [];
+      let s3regions = listRegions(cfg.backend.s3.regions);
 
       for (let region of s3regions) {
         let bucket = cfg.backend.s3.bucketBase + profile + '-' + region;
@@ -330,6 +548,8 @@ let load = base.loader({
         let s3 = await s3Factory(region);
         monitor.patchAWS(s3);
 
+        let endpoint = s3Endpoint(cfg, region) || {};
+
         let storageProvider = new S3StorageProvider({
           service: 's3',
           region: region,
@@ -339,13 +559,67 @@ let load = base.loader({
           s3: s3,
           acl: cfg.backend.s3.acl,
           lifespan: cfg.backend.s3.lifespan,
+          pathStyle: endpoint.pathStyle,
+          publicUrl: endpoint.publicUrl,
+          endpoint: endpoint.endpoint,
+          presignedUrlExpiry: cfg.backend.s3.presignedUrlExpiry,
           monitor: monitor.prefix(`s3-${region}`),
         });
 
+        storageProviders.push(storageProvider);
+      }
+
+      for (let region of listRegions(cfg.backend.gcs.regions)) {
+        let bucket = cfg.backend.gcs.bucketBase + profile + '-' + region;
+
+        storageProviders.push(new GCSStorageProvider({
+          service: 'gcs',
+          region: region,
+          bucket: bucket,
+          storage: gcs,
+          acl: cfg.backend.gcs.acl,
+          lifespan: cfg.backend.gcs.lifespan,
+          publicUrl: cfg.backend.gcs.publicUrl,
+          monitor: monitor.prefix(`gcs-${region}`),
+        }));
+      }
+
+      for (let region of listRegions(cfg.backend.azure.regions)) {
+        storageProviders.push(new AzureBlobStorageProvider({
+          service: 'azure',
+          region: region,
+          container: cfg.backend.azure.containerBase + profile,
+          blobService: azureFactory(region),
+          lifespan: cfg.backend.azure.lifespan,
+          monitor: monitor.prefix(`azure-${region}`),
+        }));
+      }
+
+      for (let region of listRegions(cfg.backend.fs.regions)) {
+        storageProviders.push(new FilesystemStorageProvider({
+          service: 'fs',
+          region: region,
+          directory: cfg.backend.fs.directory,
+          lifespan: cfg.backend.fs.lifespan,
+          publicUrl: cfg.server.publicUrl + '/v1',
+          monitor: monitor.prefix(`fs-${region}`),
+        }));
+      }
+
+      let cacheManagers = [];
+
+      for (let storageProvider of storageProviders) {
         let cacheManager = new CacheManager({
           allowedPatterns: compilePatterns(cfg.app.allowedPatterns),
+          maxSize: cfg.app.maxSize,
           cacheTTL: cfg.backend.cacheTTL,
-          redis: redis,
+          notFoundTTL: cfg.backend.notFoundTTL,
+          progressInterval: cfg.backend.progressInterval,
+          contentAddressed: cfg.backend.contentAddressed,
+          quota: (cfg.backend.quotas || {})[storageProvider.id],
+          leaseTTL: cfg.backend.leaseTTL,
+          retry: cfg.app.retry,
+          metadataStore: metadataStore,
           ensureSSL: cfg.app.ensureSSL,
           queueSender: queueSender,
           storageProvider: storageProvider,
@@ -356,10 +630,98 @@ let load = base.loader({
         cacheManagers.push(cacheManager);
       }
 
+      // Objects which are present in one region can be copied from there to
+      // the others instead of from upstream
+      if (cfg.backend.seedFromSiblings) {
+        for (let cacheManager of cacheManagers) {
+          cacheManager.siblings = cacheManagers.filter(x => x !== cacheManager);
+        }
+      }
+
       return cacheManagers;
     },
   },
 
+  // Files stored by the fs storage provider have to be deleted by us once they
+  // are older than the lifespan.  Since the files are on a local disk, this
+  // runs in the background of every process which has fs regions instead of
+  // as its own process.  It returns a handle whose stop() ends the sweeping
+  fsSweeper: {
+    requires: ['cfg', 'monitor', 'cacheManagers'],
+    setup: async ({cfg, monitor, cacheManagers}) => {
+      let storageProviders = cacheManagers
+        .map(x => x.storageProvider)
+        .filter(x => x instanceof FilesystemStorageProvider);
+
+      let sweep = async () => {
+        for (let storageProvider of storageProviders) {
+          try {
+            let deleted = await storageProvider.sweep();
+            monitor.count(`fs-${storageProvider.region}.expired-files`, deleted);
+          } catch (err) {
+            monitor.reportError(err, 'warning', {region: storageProvider.region});
+            debug('%s', err.stack || err);
+          }
+        }
+      };
+
+      let interval;
+      if (storageProviders.length > 0) {
+        interval = setInterval(sweep, cfg.backend.fs.sweepInterval * 1000);
+        await sweep();
+      }
+
+      return {
+        sweep,
+        stop: () => clearInterval(interval),
+      };
+    },
+  },
+
+  // After the metadata store has lost its data, this restores the cache
+  // entries of all the objects which are still stored instead of waiting for
+  // them to be copied again.  It can be interrupted and started again
+  rebuildCache: {
+    requires: ['cfg', 'metadataStore', 'monitor', 'cacheManagers'],
+    setup: async ({cfg, metadataStore, monitor, cacheManagers}) => {
+      for (let cacheManager of cacheManagers) {
+        await rebuildCache({
+          cacheManager,
+          store: metadataStore,
+          monitor: monitor.prefix('rebuild-cache'),
+          rate: cfg.backend.rebuild.rate,
+          pageSize: cfg.backend.rebuild.pageSize,
+        });
+      }
+      console.log('Finished all cache rebuilds');
+      await metadataStore.close();
+    },
+  },
+
+  // Keep the regions which have a quota within it by purging the objects
+  // which were least recently redirected to
+  evictor: {
+    requires: ['cfg', 'monitor', 'cacheManagers'],
+    setup: async ({cfg, monitor, cacheManagers}) => {
+      let limited = cacheManagers.filter(x => x.quota);
+
+      while (true) {
+        for (let cacheManager of limited) {
+          try {
+            await evict({
+              cacheManager,
+              monitor: monitor.prefix('evictor'),
+            });
+          } catch (err) {
+            monitor.reportError(err, 'warning', {id: cacheManager.id});
+            debug('%s', err.stack || err);
+          }
+        }
+        await new Promise(accept => setTimeout(accept, cfg.backend.evictor.interval * 1000));
+      }
+    },
+  },
+
   // We need to be able to monitor how many messages live in the queue.  This
   // is not intended to be long living code and so has a bunch of things
   // hardcoded in.  If you'd like, feel free to put this into config.yml
@@ -0,0 +1,76 @@
+let MetadataStore = require('./metadata-store').MetadataStore;
+let toStrings = require('./metadata-store').toStrings;
+let _ = require('lodash');
+
+/**
+ * Implementation of the MetadataStore which keeps everything in the memory of
+ * this process.  This is meant for tests and for development with the API
+ * and back end in a single process, since nothing is shared with other
+ * processes or survives a restart.  Expired keys are removed when they're
+ * next looked at
+ */
+class MemoryMetadataStore extends MetadataStore {
+
+  constructor() {
+    super();
+    this.entries = new Map();
+  }
+
+  /**
+   * Return the entry of key if it hasn't expired
+   */
+  entry(key) {
+    let entry = this.entries.get(key);
+    if (entry && entry.expires !== undefined && entry.expires <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    let entry = this.entry(key);
+    return entry ? _.clone(entry.value) : undefined;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, {
+      value: toStrings(value),
+      expires: ttl ? Date.now() + ttl * 1000 : undefined,
+    });
+  }
+
+  async ttl(key) {
+    let entry = this.entry(key);
+    if (!entry || entry.expires === undefined) {
+      return undefined;
+    }
+    return (entry.expires - Date.now()) / 1000;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async scan(prefix) {
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.entry(key));
+  }
+
+  async compareAndSet(key, expected, value, ttl) {
+    let entry = this.entry(key);
+    let current = entry ? entry.value : undefined;
+    if (!_.isEqual(current, expected === undefined ? undefined : toStrings(expected))) {
+      return false;
+    }
+    if (value === undefined) {
+      await this.delete(key);
+    } else {
+      await this.set(key, value, ttl);
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  MemoryMetadataStore,
+};
@@ -0,0 +1,88 @@
+let debug = require('debug')('cloud-mirror:memory-queue');
+let EventEmitter = require('events');
+
+/**
+ * A queue of put requests which stays in the memory of this process, to use
+ * instead of SQS in development.  Like the MemoryMetadataStore, it only works
+ * when the API and back end run in a single process, e.g. with 'node
+ * lib/main.js all', and it loses its messages on restart.  It has the insert()
+ * method of the sqs-simple QueueSender, and its listeners those of the
+ * sqs-simple QueueListener that we use.  There is no dead letter queue:
+ * messages whose handler fails are dropped, which leaves the error in the
+ * cache entry for the next request to retry
+ */
+class MemoryQueue {
+
+  constructor() {
+    this.messages = [];
+    this.listeners = [];
+  }
+
+  async insert(msg) {
+    // Copying keeps senders from changing messages which are queued
+    this.messages.push(JSON.parse(JSON.stringify(msg)));
+    setImmediate(() => this.dispatch());
+  }
+
+  /**
+   * Return a listener which calls handler with messages, one at a time,
+   * once it's started
+   */
+  listener(handler) {
+    return new MemoryQueueListener(this, handler);
+  }
+
+  /**
+   * Hand out waiting messages to the listeners which are idle
+   */
+  dispatch() {
+    for (let listener of this.listeners) {
+      if (this.messages.length === 0) {
+        return;
+      }
+      if (listener.running && !listener.busy) {
+        listener.receive(this.messages.shift());
+      }
+    }
+  }
+}
+
+class MemoryQueueListener extends EventEmitter {
+
+  constructor(queue, handler) {
+    super();
+    this.queue = queue;
+    this.handler = handler;
+    this.running = false;
+    this.busy = false;
+  }
+
+  start() {
+    this.running = true;
+    if (!this.queue.listeners.includes(this)) {
+      this.queue.listeners.push(this);
+    }
+    this.queue.dispatch();
+  }
+
+  stop() {
+    this.running = false;
+  }
+
+  async receive(msg) {
+    this.busy = true;
+    try {
+      // Messages never become visible again, so their timeout can't change
+      await this.handler(msg, async () => {});
+    } catch (err) {
+      debug(`dropping message after handler failed: ${err.stack || err}`);
+      this.emit('error', err, 'handler');
+    }
+    this.busy = false;
+    this.queue.dispatch();
+  }
+}
+
+module.exports = {
+  MemoryQueue,
+};
@@ -0,0 +1,78 @@
+let _ = require('lodash');
+
+/**
+ * Abstract base class for MetadataStores, which hold the cache entries and
+ * the other state that the API and back ends share.  Keys are strings and
+ * values are objects of strings, like redis hashes.  Values which aren't
+ * strings are converted to strings when they're stored, so readers have to
+ * parse numbers themselves.  Every method of this base class other than
+ * .close() must be overridden
+ */
+class MetadataStore {
+
+  /**
+   * Return the value of key, or undefined if there is none
+   */
+  async get(key) {
+    throw new Error('This MetadataStore implementation must implement .get()');
+  }
+
+  /**
+   * Replace the value of key.  It expires after ttl seconds, or never if ttl
+   * is not given
+   */
+  async set(key, value, ttl) {
+    throw new Error('This MetadataStore implementation must implement .set()');
+  }
+
+  /**
+   * Return the number of seconds until key expires, or undefined if it
+   * doesn't exist or never expires
+   */
+  async ttl(key) {
+    throw new Error('This MetadataStore implementation must implement .ttl()');
+  }
+
+  /**
+   * Remove key.  Removing a key which doesn't exist is not an error
+   */
+  async delete(key) {
+    throw new Error('This MetadataStore implementation must implement .delete()');
+  }
+
+  /**
+   * Return all keys which start with prefix, in no particular order
+   */
+  async scan(prefix) {
+    throw new Error('This MetadataStore implementation must implement .scan()');
+  }
+
+  /**
+   * Replace the value of key with value, which expires after ttl seconds,
+   * but only if its current value is equal to expected.  An undefined
+   * expected value means that key must not exist, and an undefined value
+   * removes key.  The comparison and change are atomic.  Returns true if the
+   * value was changed
+   */
+  async compareAndSet(key, expected, value, ttl) {
+    throw new Error('This MetadataStore implementation must implement .compareAndSet()');
+  }
+
+  /**
+   * Let go of any connections, for processes which are about to exit
+   */
+  async close() {
+  }
+}
+
+/**
+ * Convert the fields of a value to the strings that a MetadataStore holds
+ */
+function toStrings(value) {
+  return _.mapValues(value, String);
+}
+
+module.exports = {
+  MetadataStore,
+  toStrings,
+};
@@ -0,0 +1,148 @@
+let debug = require('debug')('cloud-mirror:prefetch');
+let assert = require('assert');
+let bluebird = require('bluebird');
+let slugid = require('slugid');
+let _ = require('lodash');
+let validateUrl = require('./validate-url');
+
+/**
+ * Errors of validate-url.js which mean that a url must not be copied
+ */
+const REJECTED_CODES = ['BadHTTPStatus', 'InvalidUrl', 'TooLarge'];
+
+function batchKey(batchId) {
+  return 'prefetch_' + batchId;
+}
+
+/**
+ * Ask the given cache managers to copy urls before anybody requests them.
+ * Each url is validated like the redirect endpoint does it, and is only
+ * requested from the cache managers which don't already have it or are
+ * copying it.  The batch is remembered in the metadata store for ttl seconds
+ * so that its progress can be read with batchProgress().
+ *
+ * Options:
+ *   - urls: list of urls to copy
+ *   - cacheManagers: CacheManagers to copy them into
+ *   - store: MetadataStore to remember the batch in
+ *   - allowedPatterns, maxSize, ensureSSL: options of validate-url.js
+ *   - concurrency: number of urls to validate at a time
+ *   - ttl: number of seconds to remember the batch for
+ *   - monitor: taskcluster-lib-monitor instance
+ *
+ * Returns the id of the batch and, for each url, either why it was rejected
+ * or what happened to it in each region:
+ *   - present: it is already stored
+ *   - pending: it is already being copied
+ *   - requested: a copy was requested
+ *   - skipped: no copy was requested because the last one failed and may
+ *     not be retried yet
+ */
+async function prefetch(options) {
+  let {urls, cacheManagers, store, allowedPatterns, maxSize, ensureSSL, concurrency, ttl, monitor} = options;
+  assert(Array.isArray(urls));
+  assert(Array.isArray(cacheManagers));
+  assert(store);
+  assert(monitor);
+  assert(typeof concurrency === 'number' && concurrency > 0, 'concurrency must be a positive number');
+  assert(typeof ttl === 'number' && ttl > 0, 'ttl must be a positive number');
+
+  let batchId = slugid.nice();
+  urls = _.uniq(urls);
+
+  let results = await bluebird.map(urls, async url => {
+    try {
+      await validateUrl({url, allowedPatterns, maxSize, ensureSSL});
+    } catch (err) {
+      // Like the redirect endpoint, other errors are left for the back ends
+      // to run into, and we remember that upstream doesn't have a url
+      if (_.includes(REJECTED_CODES, err.code)) {
+        if (err.code === 'BadHTTPStatus') {
+          await Promise.all(cacheManagers.map(x => x.insertNotFound(url, err.statusCode, err.headers)));
+        }
+        debug(`rejected ${url}: ${err.message}`);
+        monitor.count('prefetch.rejected', 1);
+        return {url, err: err.code, msg: err.message};
+      }
+      debug(`could not validate ${url}, requesting it anyway: ${err.stack || err}`);
+    }
+
+    let regions = await Promise.all(cacheManagers.map(async cacheManager => {
+      let status = await cacheManager.getStatus(url);
+      let outcome;
+      if (status.status === 'present' || status.status === 'pending') {
+        outcome = status.status;
+      } else if (await cacheManager.requestPut(url)) {
+        outcome = 'requested';
+      } else {
+        outcome = 'skipped';
+      }
+      monitor.count(`prefetch.${outcome}`, 1);
+      return {
+        service: cacheManager.storageProvider.service,
+        region: cacheManager.storageProvider.region,
+        outcome,
+      };
+    }));
+
+    return {url, regions};
+  }, {concurrency});
+
+  // Only the urls which are being copied or were copied count towards the
+  // progress of the batch
+  let items = [];
+  for (let result of results) {
+    if (result.regions) {
+      for (let cacheManager of cacheManagers) {
+        items.push([result.url, cacheManager.id]);
+      }
+    }
+  }
+  await store.set(batchKey(batchId), {
+    created: new Date().toISOString(),
+    items: JSON.stringify(items),
+  }, ttl);
+
+  debug(`batch ${batchId} has ${items.length} copies of ${urls.length} urls`);
+  return {batchId, results};
+}
+
+/**
+ * Count the statuses of the copies of a batch started with prefetch() in the
+ * given cache managers.  A batch is done once none of its copies is pending.
+ * Returns undefined if the batch is unknown or has been forgotten
+ */
+async function batchProgress({batchId, cacheManagers, store}) {
+  assert(batchId);
+  assert(Array.isArray(cacheManagers));
+  assert(store);
+
+  let batch = await store.get(batchKey(batchId));
+  if (!batch) {
+    return undefined;
+  }
+
+  let counts = {absent: 0, pending: 0, present: 0, error: 0, 'not-found': 0};
+  let items = JSON.parse(batch.items);
+  for (let [url, id] of items) {
+    let cacheManager = _.find(cacheManagers, x => x.id === id);
+    // The region might have been removed from our configuration since
+    if (cacheManager) {
+      let status = await cacheManager.getStatus(url);
+      counts[status.status]++;
+    }
+  }
+
+  return {
+    batchId,
+    created: batch.created,
+    total: items.length,
+    counts,
+    done: counts.pending === 0,
+  };
+}
+
+module.exports = {
+  prefetch,
+  batchProgress,
+};
@@ -0,0 +1,88 @@
+let debug = require('debug')('cloud-mirror:rebuild-cache');
+let assert = require('assert');
+
+/**
+ * Rebuild the cache entries of a CacheManager from the objects in its storage
+ * provider.  This is meant to be run after the metadata store has lost its
+ * data so that we don't have to copy every object again.  Objects are
+ * restored through CacheManager.backfillCacheEntry(), so they get a TTL which
+ * ends when the original entry or the object itself would have expired.  Urls
+ * which already have a cache entry are left alone.
+ *
+ * The marker of the next page to process is kept in the metadata store, so
+ * running this again after it was interrupted continues where it stopped.
+ * The marker is removed once all pages are done.
+ *
+ * Options:
+ *   - cacheManager: the CacheManager to rebuild
+ *   - store: MetadataStore to keep the marker in
+ *   - monitor: taskcluster-lib-monitor instance
+ *   - rate: maximum number of objects to look up per second
+ *   - pageSize: number of objects to list at a time
+ *
+ * Returns the number of objects listed and restored
+ */
+async function rebuildCache({cacheManager, store, monitor, rate, pageSize}) {
+  assert(cacheManager);
+  assert(store);
+  assert(monitor);
+  assert(typeof rate === 'number' && rate > 0, 'rate must be a positive number');
+  assert(typeof pageSize === 'number' && pageSize > 0, 'pageSize must be a positive number');
+
+  let id = cacheManager.id;
+  let markerKey = `${id}_rebuild_marker`;
+  let value = await store.get(markerKey);
+  let marker = value ? value.marker : undefined;
+  let listed = 0;
+  let restored = 0;
+
+  if (marker) {
+    debug(`resuming cache rebuild of ${id}`);
+    monitor.count(`${id}.rebuild-resumed`, 1);
+  } else {
+    debug(`starting cache rebuild of ${id}`);
+    monitor.count(`${id}.rebuild-started`, 1);
+  }
+
+  do {
+    let page = await cacheManager.storageProvider.list(marker, pageSize);
+    let restoredBefore = restored;
+
+    for (let rawUrl of page.rawUrls) {
+      let start = Date.now();
+
+      // Peeking doesn't count cache hits and misses, which only requests should
+      if (!await cacheManager.peekCacheEntry(rawUrl)) {
+        if (await cacheManager.backfillCacheEntry(rawUrl)) {
+          restored++;
+        }
+      }
+      listed++;
+
+      let wait = 1000 / rate - (Date.now() - start);
+      if (wait > 0) {
+        await new Promise(accept => setTimeout(accept, wait));
+      }
+    }
+
+    monitor.count(`${id}.rebuild-listed`, page.rawUrls.length);
+    monitor.count(`${id}.rebuild-restored`, restored - restoredBefore);
+
+    marker = page.marker;
+    if (marker) {
+      await store.set(markerKey, {marker});
+    }
+
+    debug(`rebuilt ${restored} of ${listed} objects in ${id} so far, next marker is ${marker}`);
+  } while (marker);
+
+  await store.delete(markerKey);
+  monitor.count(`${id}.rebuild-finished`, 1);
+  debug(`finished cache rebuild of ${id}: restored ${restored} of ${listed} objects`);
+
+  return {listed, restored};
+}
+
+module.exports = {
+  rebuildCache,
+};
@@ -0,0 +1,102 @@
+let MetadataStore = require('./metadata-store').MetadataStore;
+let toStrings = require('./metadata-store').toStrings;
+let assert = require('assert');
+let _ = require('lodash');
+
+/**
+ * Compare the hash at KEYS[1] with the JSON object in ARGV[1], or check that
+ * it doesn't exist if that is null.  If they match, replace the hash with the
+ * JSON object in ARGV[2], or delete it if that is null, and let it expire
+ * after ARGV[3] milliseconds unless that is 0.  This has to be a script so
+ * that nothing can change the hash between the comparison and the change
+ */
+const COMPARE_AND_SET_SCRIPT = [
+  'local current = redis.call("hgetall", KEYS[1])',
+  'local expected = cjson.decode(ARGV[1])',
+  'if expected == cjson.null then',
+  '  if #current > 0 then return 0 end',
+  'else',
+  '  local count = 0',
+  '  for _ in pairs(expected) do count = count + 1 end',
+  '  if #current ~= count * 2 then return 0 end',
+  '  for i = 1, #current, 2 do',
+  '    if expected[current[i]] ~= current[i + 1] then return 0 end',
+  '  end',
+  'end',
+  'redis.call("del", KEYS[1])',
+  'local value = cjson.decode(ARGV[2])',
+  'if value ~= cjson.null then',
+  '  for field, v in pairs(value) do redis.call("hset", KEYS[1], field, v) end',
+  '  if tonumber(ARGV[3]) > 0 then redis.call("pexpire", KEYS[1], ARGV[3]) end',
+  'end',
+  'return 1',
+].join('\n');
+
+/**
+ * Implementation of the MetadataStore which stores each value as a redis
+ * hash.  The client must have been promisified with bluebird
+ */
+class RedisMetadataStore extends MetadataStore {
+
+  constructor(config) {
+    super();
+    assert(config.redis, 'must provide a redis client');
+    this.redis = config.redis;
+  }
+
+  async get(key) {
+    let value = await this.redis.hgetallAsync(key);
+    return value || undefined;
+  }
+
+  async set(key, value, ttl) {
+    assert(!_.isEmpty(value), 'redis hashes can not be empty');
+    let multi = this.redis.multi()
+      .del(key)
+      .hmset(key, toStrings(value));
+    if (ttl) {
+      multi = multi.pexpire(key, Math.round(ttl * 1000));
+    }
+    await multi.execAsync();
+  }
+
+  async ttl(key) {
+    // Negative values mean that the key doesn't exist or never expires
+    let ttl = await this.redis.pttlAsync(key);
+    return ttl >= 0 ? ttl / 1000 : undefined;
+  }
+
+  async delete(key) {
+    await this.redis.delAsync(key);
+  }
+
+  async scan(prefix) {
+    // Characters of the prefix which have a meaning in patterns are escaped
+    let pattern = prefix.replace(/[*?[\]\\]/g, '\\$&') + '*';
+    let keys = [];
+    let cursor = '0';
+    do {
+      let result = await this.redis.scanAsync(cursor, 'MATCH', pattern, 'COUNT', 1000);
+      cursor = result[0];
+      keys = keys.concat(result[1]);
+    } while (cursor !== '0');
+    // SCAN may return a key more than once
+    return _.uniq(keys);
+  }
+
+  async compareAndSet(key, expected, value, ttl) {
+    let result = await this.redis.evalAsync(COMPARE_AND_SET_SCRIPT, 1, key,
+        JSON.stringify(expected === undefined ? null : toStrings(expected)),
+        JSON.stringify(value === undefined ? null : toStrings(value)),
+        ttl ? Math.round(ttl * 1000) : 0);
+    return result === 1;
+  }
+
+  async close() {
+    await this.redis.quitAsync();
+  }
+}
+
+module.exports = {
+  RedisMetadataStore,
+};
@@ -0,0 +1,197 @@
+let debug = require('debug')('cloud-mirror:region-selector');
+let assert = require('assert');
+let fs = require('fs');
+let net = require('net');
+let _ = require('lodash');
+
+/**
+ * Turn an IPv4 or IPv6 address into a buffer of its bytes, or return
+ * undefined if it isn't an address.  IPv4 addresses mapped into IPv6, which
+ * is how dual-stack servers see IPv4 clients, are turned into their IPv4 bytes
+ */
+function parseAddress(address) {
+  if (net.isIPv4(address)) {
+    return Buffer.from(address.split('.').map(x => parseInt(x, 10)));
+  }
+  if (!net.isIPv6(address)) {
+    return undefined;
+  }
+
+  let mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return parseAddress(mapped[1]);
+  }
+
+  let groups = s => s ? s.split(':') : [];
+  let [head, tail] = address.split('::');
+  let parts = groups(head).concat(tail === undefined ? [] : ['::'], groups(tail));
+
+  // Addresses can end with IPv4 notation for their last two groups
+  let last = _.last(parts);
+  if (last.includes('.')) {
+    let bytes = parseAddress(last);
+    parts.splice(-1, 1, bytes.readUInt16BE(0).toString(16), bytes.readUInt16BE(2).toString(16));
+  }
+
+  let zeros = _.times(8 - (parts.length - (tail === undefined ? 0 : 1)), () => '0');
+  parts = _.flatMap(parts, x => x === '::' ? zeros : [x]);
+
+  let bytes = Buffer.alloc(16);
+  parts.forEach((x, i) => bytes.writeUInt16BE(parseInt(x, 16), i * 2));
+  return bytes;
+}
+
+/**
+ * Parse a CIDR block like 10.0.0.0/8 into the bytes of its address and its
+ * number of prefix bits
+ */
+function parseCidr(cidr) {
+  let [address, bits] = cidr.split('/');
+  let bytes = parseAddress(address);
+  if (!bytes) {
+    throw new Error(`Invalid CIDR block ${cidr}`);
+  }
+  bits = bits === undefined ? bytes.length * 8 : parseInt(bits, 10);
+  if (!(bits >= 0 && bits <= bytes.length * 8)) {
+    throw new Error(`Invalid CIDR block ${cidr}`);
+  }
+  return {bytes, bits};
+}
+
+/**
+ * Check whether the first bits of two addresses of the same family are equal
+ */
+function matchesPrefix(address, {bytes, bits}) {
+  if (address.length !== bytes.length) {
+    return false;
+  }
+  let whole = Math.floor(bits / 8);
+  if (address.compare(bytes, 0, whole, 0, whole) !== 0) {
+    return false;
+  }
+  let rest = bits % 8;
+  if (rest === 0) {
+    return true;
+  }
+  let mask = 0xff << 8 - rest & 0xff;
+  return (address[whole] & mask) === (bytes[whole] & mask);
+}
+
+/**
+ * Turn the contents of a published IP range file into a list of {cidr,
+ * region} objects.  The formats are those of
+ *   - aws: https://ip-ranges.amazonaws.com/ip-ranges.json
+ *   - gcp: https://www.gstatic.com/ipranges/cloud.json
+ */
+function parseIpRanges(ranges, format) {
+  if (format === 'aws') {
+    return [].concat(
+      (ranges.prefixes || []).map(x => ({cidr: x.ip_prefix, region: x.region})),
+      (ranges.ipv6_prefixes || []).map(x => ({cidr: x.ipv6_prefix, region: x.region})),
+    );
+  } else if (format === 'gcp') {
+    return (ranges.prefixes || []).map(x => ({cidr: x.ipv4Prefix || x.ipv6Prefix, region: x.scope}));
+  }
+  throw new Error(`Unknown IP range format ${format}`);
+}
+
+/**
+ * Read the IP range files of the regionSelection configuration.  Each source
+ * has the file and format of a copy of the published ranges of a cloud and
+ * the service of ours whose regions are named like that cloud's.  Sources
+ * without a file are skipped.  Returns a list of {cidr, service, region}
+ * objects
+ */
+function readIpRanges(sources) {
+  let ranges = [];
+  for (let {file, format, service} of sources || []) {
+    if (!file) {
+      continue;
+    }
+    let parsed = parseIpRanges(JSON.parse(fs.readFileSync(file, 'utf8')), format);
+    debug(`read ${parsed.length} ${format} ip ranges from ${file}`);
+    ranges = ranges.concat(parsed.map(x => _.assign(x, {service})));
+  }
+  return ranges;
+}
+
+/**
+ * A RegionSelector chooses the cache manager that a client is best served by.
+ * In order of preference, that's the one that the client names in the hint
+ * header, the one in the region that the client's address belongs to
+ * according to the IP ranges that clouds publish, and the default.  Names of
+ * regions are either service/region, service_region or only a region if just
+ * one service has a region by that name
+ */
+class RegionSelector {
+  constructor({cacheManagers, ranges = [], hintHeader, defaultRegion}) {
+    assert(Array.isArray(cacheManagers), 'must provide cache managers');
+    this.cacheManagers = cacheManagers;
+    this.hintHeader = hintHeader ? hintHeader.toLowerCase() : undefined;
+
+    this.defaultBackend = undefined;
+    if (defaultRegion) {
+      this.defaultBackend = this.findBackend(defaultRegion);
+      assert(this.defaultBackend, `default region ${defaultRegion} is not configured`);
+    }
+
+    // Only ranges in regions that we have are useful, and the most specific
+    // range is checked first when they overlap
+    this.ranges = _.sortBy(ranges.map(x => ({
+      backend: _.find(cacheManagers, y => y.id === `${x.service}_${x.region}`),
+      prefix: parseCidr(x.cidr),
+    })).filter(x => x.backend), x => -x.prefix.bits);
+    debug(`using ${this.ranges.length} of ${ranges.length} ip ranges`);
+  }
+
+  /**
+   * Return the cache manager that a name of a region refers to, or undefined
+   */
+  findBackend(name) {
+    let match = /^([^/_]+)[/_](.+)$/.exec(name);
+    if (match) {
+      let backend = _.find(this.cacheManagers, x => x.id === `${match[1]}_${match[2]}`);
+      if (backend) {
+        return backend;
+      }
+    }
+    let backends = this.cacheManagers.filter(x => x.storageProvider.region === name);
+    return backends.length === 1 ? backends[0] : undefined;
+  }
+
+  /**
+   * Choose the cache manager for a client with the given request headers and
+   * address.  Returns {backend, reason}, where reason is one of hint,
+   * ip-range and default, or undefined if there is no default to fall back to
+   */
+  select({headers, ip}) {
+    let hint = this.hintHeader ? (headers || {})[this.hintHeader] : undefined;
+    if (hint) {
+      let backend = this.findBackend(hint.trim());
+      if (backend) {
+        return {backend, reason: 'hint'};
+      }
+      debug(`ignoring unknown region hint ${hint}`);
+    }
+
+    let address = ip ? parseAddress(ip) : undefined;
+    if (address) {
+      let range = _.find(this.ranges, x => matchesPrefix(address, x.prefix));
+      if (range) {
+        return {backend: range.backend, reason: 'ip-range'};
+      }
+    }
+
+    if (this.defaultBackend) {
+      return {backend: this.defaultBackend, reason: 'default'};
+    }
+    return undefined;
+  }
+}
+
+module.exports = {
+  RegionSelector,
+  readIpRanges,
+  parseIpRanges,
+  parseAddress,
+};
@@ -44,6 +44,65 @@ let wrapSend = (upload, stream) => {
   });
 };
 
+/**
+ * Read a stream in parts of a given size.  This returns a function which
+ * resolves the next part, which is only shorter than the size at the end of
+ * the stream, or null once the stream is done.  The stream is paused while
+ * we're not reading from it so that we only hold about one part in memory
+ */
+let partReader = (stream) => {
+  let buffers = [];
+  let length = 0;
+  let ended = false;
+  let error;
+  let wake;
+
+  stream.on('data', chunk => {
+    buffers.push(chunk);
+    length += chunk.length;
+    if (wake) {
+      wake();
+    }
+  });
+  stream.on('end', () => {
+    ended = true;
+    if (wake) {
+      wake();
+    }
+  });
+  stream.on('error', err => {
+    error = err;
+    if (wake) {
+      wake();
+    }
+  });
+  stream.pause();
+
+  return async (size) => {
+    while (!error && !ended && length < size) {
+      await new Promise(accept => {
+        wake = accept;
+        stream.resume();
+      });
+      wake = undefined;
+    }
+    stream.pause();
+
+    if (error) {
+      throw error;
+    }
+    if (length === 0) {
+      return null;
+    }
+
+    let data = Buffer.concat(buffers, length);
+    let part = data.slice(0, size);
+    buffers = part.length < data.length ? [data.slice(size)] : [];
+    length = data.length - part.length;
+    return part;
+  };
+};
+
 /**
  * Mapping of HTTP Headers to S3 request properties since they don't use the
  * same string.
@@ -56,6 +115,22 @@ const HTTPHeaderToS3Prop = {
   'Content-Length': 'ContentLength',
 };
 
+/**
+ * HTTP Headers which are kept when an object is copied in place.  The others
+ * describe the upload request rather than the object
+ */
+const CopiedHTTPHeaders = ['Content-Type', 'Content-Disposition', 'Content-Encoding'];
+
+/**
+ * Largest object which S3 can copy with a single CopyObject request
+ */
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+
+/**
+ * Number of milliseconds in a day, the unit of bucket lifespans
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
  * HTTP Headers which *must* be specified during an upload
  */
@@ -86,6 +161,14 @@ class S3StorageProvider extends StorageProvider {
     this.s3 = config.s3;
     this.acl = config.acl;
     this.lifespan = config.lifespan;
+    // S3 compatible stores (e.g. MinIO) usually only support path-style
+    // addressing and have their own public URL instead of an amazonaws.com one
+    this.pathStyle = !!config.pathStyle;
+    this.publicUrl = config.publicUrl;
+    this.endpoint = config.endpoint;
+    // When set, objects are not expected to be world readable and we redirect
+    // to presigned URLs which are valid for this many seconds instead
+    this.presignedUrlExpiry = config.presignedUrlExpiry || 0;
   }
 
   /**
@@ -105,7 +188,7 @@ class S3StorageProvider extends StorageProvider {
       Bucket: this.bucket,
       Key: rawUrl,
       Body: inputStream.pipe(passthrough),
-      ACL: 'public-read',
+      ACL: this.acl,
       Metadata: storageMetadata,
     };
 
@@ -133,6 +216,262 @@ class S3StorageProvider extends StorageProvider {
     return result;
   }
 
+  /**
+   * Objects which would be uploaded in more than one part are uploaded
+   * resumably
+   */
+  canResume(size) {
+    return size > this.partSize;
+  }
+
+  /**
+   * StorageProvider.putResumable() implementation for S3.  Unlike put(), this
+   * runs the multipart upload itself so that the upload id and the ETags of
+   * the completed parts can be saved.  The parts of a failed upload are kept
+   * for the next attempt, and the lifecycle rule of the bucket cleans them up
+   * if there is none
+   */
+  async putResumable(rawUrl, inputStream, headers, storageMetadata, upload, saveUpload) {
+    assert(rawUrl, 'must provide raw input url');
+    assert(inputStream, 'must provide an input stream');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+    assert(saveUpload, 'must provide a function to save the upload state');
+
+    // This has to start listening right away so that no data is lost
+    let readPart = partReader(inputStream);
+
+    if (!upload) {
+      let request = {
+        Bucket: this.bucket,
+        Key: rawUrl,
+        ACL: this.acl,
+        Metadata: storageMetadata,
+      };
+
+      for (let httpHeader of CopiedHTTPHeaders) {
+        if (headers[httpHeader]) {
+          request[HTTPHeaderToS3Prop[httpHeader]] = headers[httpHeader];
+        }
+      }
+
+      let {UploadId} = await this.s3.createMultipartUpload(request).promise();
+      upload = {uploadId: UploadId, parts: [], offset: 0};
+      await saveUpload(upload);
+      this.debug(`started multipart upload ${UploadId} of ${rawUrl}`);
+    } else {
+      this.debug(`resuming multipart upload ${upload.uploadId} of ${rawUrl} at ${upload.offset}`);
+    }
+
+    let part;
+    while ((part = await readPart(this.partSize)) !== null) {
+      let partNumber = upload.parts.length + 1;
+      let result = await this.s3.uploadPart({
+        Bucket: this.bucket,
+        Key: rawUrl,
+        UploadId: upload.uploadId,
+        PartNumber: partNumber,
+        Body: part,
+      }).promise();
+
+      upload.parts.push({PartNumber: partNumber, ETag: result.ETag});
+      upload.offset += part.length;
+      await saveUpload(upload);
+    }
+
+    await this.s3.completeMultipartUpload({
+      Bucket: this.bucket,
+      Key: rawUrl,
+      UploadId: upload.uploadId,
+      MultipartUpload: {Parts: upload.parts},
+    }).promise();
+    this.debug(`completed multipart upload ${upload.uploadId} of ${rawUrl}`);
+  }
+
+  /**
+   * StorageProvider.discardUpload() implementation for S3
+   */
+  async discardUpload(rawUrl, upload) {
+    try {
+      await this.s3.abortMultipartUpload({
+        Bucket: this.bucket,
+        Key: rawUrl,
+        UploadId: upload.uploadId,
+      }).promise();
+    } catch (err) {
+      // Incomplete uploads are also aborted by the lifecycle rule
+      if (err.code !== 'NoSuchUpload') {
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * StorageProvider.updateMetadata() implementation for S3.  S3 metadata can't
+   * be changed, so the object is copied onto itself with the new metadata.
+   * This is another write of the whole object, although one that doesn't
+   * leave S3, and objects which are too large for CopyObject take a multipart
+   * copy
+   */
+  async updateMetadata(rawUrl, headers, storageMetadata) {
+    this.debug(`updating metadata of ${rawUrl}`);
+    await this.copy(rawUrl, rawUrl, headers, storageMetadata);
+    this.debug(`updated metadata of ${rawUrl}`);
+  }
+
+  /**
+   * StorageProvider.copy() implementation for S3
+   */
+  async copy(sourceRawUrl, rawUrl, headers, storageMetadata) {
+    await this.copyFrom(this, sourceRawUrl, rawUrl, headers, storageMetadata);
+  }
+
+  /**
+   * S3 can copy objects between buckets in different regions, but not between
+   * S3 and S3 compatible stores or between two of those
+   */
+  canCopyFrom(other) {
+    return other instanceof S3StorageProvider && !this.endpoint && !other.endpoint;
+  }
+
+  /**
+   * StorageProvider.copyFrom() implementation for S3.  Objects which are too
+   * large for CopyObject are copied with a multipart upload instead
+   */
+  async copyFrom(other, sourceRawUrl, rawUrl, headers, storageMetadata) {
+    assert(other, 'must provide source storage provider');
+    assert(sourceRawUrl, 'must provide raw source url');
+    assert(rawUrl, 'must provide raw input url');
+    assert(headers, 'must provide HTTP headers');
+    assert(storageMetadata, 'must provide storage provider metadata');
+
+    let request = {
+      Bucket: this.bucket,
+      Key: rawUrl,
+      ACL: this.acl,
+      Metadata: storageMetadata,
+    };
+
+    for (let httpHeader of CopiedHTTPHeaders) {
+      if (headers[httpHeader]) {
+        request[HTTPHeaderToS3Prop[httpHeader]] = headers[httpHeader];
+      }
+    }
+
+    let copySource = `${other.bucket}/${encodeURIComponent(sourceRawUrl)}`;
+    let size = parseInt(headers['Content-Length'], 10);
+    if (!(size >= 0)) {
+      size = (await other.s3.headObject({Bucket: other.bucket, Key: sourceRawUrl}).promise()).ContentLength;
+    }
+
+    if (size <= MAX_COPY_SIZE) {
+      await this.s3.copyObject(_.defaults({
+        CopySource: copySource,
+        MetadataDirective: 'REPLACE',
+      }, request)).promise();
+    } else {
+      await this.multipartCopy(request, copySource, size);
+    }
+  }
+
+  /**
+   * Copy an object of the given size with a multipart upload, aborting the
+   * upload if any part fails
+   */
+  async multipartCopy(request, copySource, size) {
+    let {UploadId} = await this.s3.createMultipartUpload(request).promise();
+
+    try {
+      let parts = [];
+      for (let start = 0, partNumber = 1; start < size; start += this.partSize, partNumber++) {
+        let end = Math.min(start + this.partSize, size) - 1;
+        let result = await this.s3.uploadPartCopy({
+          Bucket: request.Bucket,
+          Key: request.Key,
+          UploadId,
+          PartNumber: partNumber,
+          CopySource: copySource,
+          CopySourceRange: `bytes=${start}-${end}`,
+        }).promise();
+        parts.push({PartNumber: partNumber, ETag: result.CopyPartResult.ETag});
+      }
+
+      await this.s3.completeMultipartUpload({
+        Bucket: request.Bucket,
+        Key: request.Key,
+        UploadId,
+        MultipartUpload: {Parts: parts},
+      }).promise();
+    } catch (err) {
+      await this.s3.abortMultipartUpload({
+        Bucket: request.Bucket,
+        Key: request.Key,
+        UploadId,
+      }).promise().catch(() => {});
+      throw err;
+    }
+  }
+
+  /**
+   * StorageProvider.head() implementation for S3
+   */
+  async head(rawUrl) {
+    assert(rawUrl);
+    let result;
+    try {
+      result = await this.s3.headObject({
+        Bucket: this.bucket,
+        Key: rawUrl,
+      }).promise();
+    } catch (err) {
+      if (err.code === 'NotFound' || err.statusCode === 404) {
+        return undefined;
+      }
+      throw err;
+    }
+
+    // The Expiration header looks like: expiry-date="Fri, 23 Dec 2012
+    // 00:00:00 GMT", rule-id="picture-deletion-rule".  S3 compatible stores
+    // might not send it, so we fall back to our own lifespan
+    let expires;
+    let match = /expiry-date="([^"]+)"/.exec(result.Expiration || '');
+    if (match) {
+      expires = new Date(match[1]);
+    } else {
+      expires = new Date(new Date(result.LastModified).getTime() + this.lifespan * DAY_MS);
+    }
+
+    let headers = {};
+    for (let httpHeader of CopiedHTTPHeaders) {
+      if (result[HTTPHeaderToS3Prop[httpHeader]]) {
+        headers[httpHeader] = result[HTTPHeaderToS3Prop[httpHeader]];
+      }
+    }
+
+    return {
+      size: result.ContentLength,
+      headers,
+      metadata: result.Metadata || {},
+      expires,
+    };
+  }
+
+  /**
+   * StorageProvider.list() implementation for S3
+   */
+  async list(marker, limit) {
+    let result = await this.s3.listObjectsV2({
+      Bucket: this.bucket,
+      ContinuationToken: marker,
+      MaxKeys: limit,
+    }).promise();
+
+    return {
+      rawUrls: result.Contents.map(x => x.Key),
+      marker: result.IsTruncated ? result.NextContinuationToken : undefined,
+    };
+  }
+
   /**
    * StorageProvider.purge() implementation for S3
    */
@@ -146,23 +485,46 @@ class S3StorageProvider extends StorageProvider {
   }
 
   /**
-   * Create an S3 URL for an object stored in this S3 storage provider
+   * Create an S3 URL for an object stored in this S3 storage provider.  For
+   * private buckets this is a presigned URL for the S3 endpoint.  Otherwise,
+   * unless a public URL is configured, this is the amazonaws.com URL of the
+   * region
    */
-  worldAddress(rawUrl) {
+  async worldAddress(rawUrl) {
     assert(rawUrl);
-    let s3Domain;
-    if (this.region === 'us-east-1') {
-      s3Domain = 's3.amazonaws.com';
+
+    if (this.presignedUrlExpiry) {
+      return new Promise((res, rej) => {
+        this.s3.getSignedUrl('getObject', {
+          Bucket: this.bucket,
+          Key: rawUrl,
+          Expires: this.presignedUrlExpiry,
+        }, (err, signedUrl) => err ? rej(err) : res(signedUrl));
+      });
+    }
+
+    let base;
+    if (this.publicUrl) {
+      base = url.parse(this.publicUrl);
+    } else if (this.region === 'us-east-1') {
+      base = url.parse('https://s3.amazonaws.com');
     } else {
-      s3Domain = `s3-${this.region}.amazonaws.com`;
+      base = url.parse(`https://s3-${this.region}.amazonaws.com`);
     }
 
-    let host = this.bucket + '.' + s3Domain;
+    let host = base.host;
+    let pathname = (base.pathname || '').replace(/\/$/, '');
+
+    if (this.pathStyle) {
+      pathname += '/' + this.bucket;
+    } else {
+      host = this.bucket + '.' + host;
+    }
 
     return url.format({
-      protocol: 'https:',
+      protocol: base.protocol,
       host: host,
-      pathname: encodeURIComponent(rawUrl),
+      pathname: pathname + '/' + encodeURIComponent(rawUrl),
     });
   }
 
@@ -206,17 +568,25 @@ function validateS3BucketName(name, sslVhost = false) {
   return true;
 }
 
+/**
+ * Lifecycle configuration errors which S3 compatible stores give for rules
+ * that they only partially support
+ */
+const PartialLifecycleErrors = ['NotImplemented', 'MalformedXML', 'InvalidArgument', 'InvalidRequest'];
+
 /**
  * Create an S3 Bucket in a specified region with the given name and ACL.  All
- * objects will expire after 'lifecycleDays' days have elapsed.
+ * objects will expire after 'lifecycleDays' days have elapsed.  For buckets
+ * which are only accessed with path-style addressing, pass
+ * `{pathStyle: true}` as options to allow bucket names with periods.
  */
-async function createS3Bucket(s3, name, region, acl, lifecycleDays = 1) {
+async function createS3Bucket(s3, name, region, acl, lifecycleDays = 1, options = {}) {
   assert(s3);
   assert(name);
   assert(region);
   assert(acl);
   assert(typeof lifecycleDays === 'number');
-  if (!validateS3BucketName(name, true)) {
+  if (!validateS3BucketName(name, !options.pathStyle)) {
     throw new Error(`Bucket ${name} is not valid`);
   }
 
@@ -265,7 +635,27 @@ async function createS3Bucket(s3, name, region, acl, lifecycleDays = 1) {
   };
 
   debug(`Setting S3 lifecycle configuration for ${name} in ${region}`);
-  await s3.putBucketLifecycleConfiguration(params).promise();
+  try {
+    await s3.putBucketLifecycleConfiguration(params).promise();
+  } catch (err) {
+    if (!_.includes(PartialLifecycleErrors, err.code)) {
+      throw err;
+    }
+    // Not every S3 compatible store knows about aborting incomplete multipart
+    // uploads, so we try again with only the expiration
+    debug(`Lifecycle configuration rejected with ${err.code}, retrying with only expiration`);
+    delete params.LifecycleConfiguration.Rules[0].AbortIncompleteMultipartUpload;
+    try {
+      await s3.putBucketLifecycleConfiguration(params).promise();
+    } catch (err) {
+      if (!_.includes(PartialLifecycleErrors, err.code)) {
+        throw err;
+      }
+      debug(`[alert-operator] ${name} in ${region} does not support lifecycle ` +
+            `configuration (${err.code}), objects will not expire`);
+      return;
+    }
+  }
   debug(`Set S3 lifecycle configuration for ${name} in ${region}`);
 }
 
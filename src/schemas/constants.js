@@ -23,4 +23,9 @@ module.exports = {
 
   // Pattern for scope names, for when-ever that is useful
   "scope-pattern":   "^[\\x20-\\x7e]*$",
+
+  // Most urls that one prefetch request can have, so that a single request
+  // can't make us validate an unbounded batch.  app.prefetch.maxUrls can only
+  // lower this
+  "prefetch-max-urls":  5000,
 };
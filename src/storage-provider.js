@@ -47,6 +47,115 @@ class StorageProvider {
     throw new Error('This StorageProvider implementation must implement .put()');
   }
 
+  /**
+   * Whether an object of the given size should be stored with
+   * .putResumable() instead of .put().  Storage providers which can't resume
+   * uploads don't need to override this method or the other resumable ones
+   */
+  canResume(size) {
+    return false;
+  }
+
+  /**
+   * Store an object like .put() does, but in a way that can be resumed after
+   * a failure.  This takes the same arguments as .put() and:
+   *   - upload: undefined to start a new upload, otherwise the last state
+   *     given to saveUpload by an upload which failed.  In that case,
+   *     inputStream starts at the offset of that state
+   *   - saveUpload: an async function to call with the state of the upload
+   *     whenever more of it is stored.  The state is an object which can be
+   *     stored as JSON and has an 'offset' property with the number of bytes
+   *     stored so far
+   */
+  async putResumable(rawUrl, inputStream, headers, storageMetadata, upload, saveUpload) {
+    throw new Error('This StorageProvider implementation does not implement .putResumable()');
+  }
+
+  /**
+   * Throw away the parts of an upload started by .putResumable() which will
+   * not be resumed
+   */
+  async discardUpload(rawUrl, upload) {
+    throw new Error('This StorageProvider implementation does not implement .discardUpload()');
+  }
+
+  /**
+   * Replace the storageMetadata of a stored object, e.g. to add information
+   * which is only known once the upload has completed.  This must be
+   * overridden with a method which takes the same headers and storageMetadata
+   * as .put(), since some storage providers have to rewrite the object to
+   * change its metadata
+   */
+  async updateMetadata(rawUrl, headers, storageMetadata) {
+    throw new Error('This StorageProvider implementation must implement .updateMetadata()');
+  }
+
+  /**
+   * Replace the headers and storageMetadata of a stored object and restart
+   * its lifespan, as if it had just been stored.  Copying the object onto
+   * itself does that for most storage providers, so that's what happens
+   * unless this is overridden
+   */
+  async refresh(rawUrl, headers, storageMetadata) {
+    await this.copy(rawUrl, rawUrl, headers, storageMetadata);
+  }
+
+  /**
+   * Copy a stored object to another address within the storage provider,
+   * giving the copy the headers and storageMetadata like .put() would
+   */
+  async copy(sourceRawUrl, rawUrl, headers, storageMetadata) {
+    throw new Error('This StorageProvider implementation must implement .copy()');
+  }
+
+  /**
+   * Whether .copyFrom() can copy objects from another storage provider
+   * without us downloading them.  Storage providers which can't do this don't
+   * need to override this method or .copyFrom()
+   */
+  canCopyFrom(other) {
+    return false;
+  }
+
+  /**
+   * Copy an object stored by another storage provider into this one, like
+   * .copy() does for objects stored by this one.  Only called when
+   * .canCopyFrom() returns true for the other storage provider
+   */
+  async copyFrom(other, sourceRawUrl, rawUrl, headers, storageMetadata) {
+    throw new Error('This StorageProvider implementation does not implement .copyFrom()');
+  }
+
+  /**
+   * Look up an object in the storage provider without reading it.  This must
+   * be overridden with a method which returns undefined when there is no
+   * object for rawUrl and otherwise an object like:
+   *   - size: size of the stored object in bytes
+   *   - headers: the HTTP headers which were given to .put() and which the
+   *     storage provider keeps, like Content-Type
+   *   - metadata: the storageMetadata which was given to .put()
+   *   - expires: Date at which the storage provider will remove the object
+   */
+  async head(rawUrl) {
+    throw new Error('This StorageProvider implementation must implement .head()');
+  }
+
+  /**
+   * List the objects in the storage provider a page at a time.  This must be
+   * overridden with a method which takes:
+   *   - marker: undefined for the first page, otherwise the marker returned
+   *     with the previous page
+   *   - limit: the maximum number of objects to return
+   *
+   * and returns an object like:
+   *   - rawUrls: the original input urls of the objects in this page
+   *   - marker: a string to pass to get the next page, or undefined if this
+   *     was the last page
+   */
+  async list(marker, limit) {
+    throw new Error('This StorageProvider implementation must implement .list()');
+  }
+
   /**
    * Remove an internal address from the storage provider
    */
@@ -56,9 +165,10 @@ class StorageProvider {
 
   /**
    * A world address is what we will eventually redirect to.  This method
-   * should map an internal address to a world address
+   * should map an internal address to a world address.  It may return either
+   * the address or a promise for it, e.g. when the address must be signed
    */
-  worldAddress(rawUrl) {
+  async worldAddress(rawUrl) {
     throw new Error('This StorageProvider implementation must implement .worldAddress()');
   }
 }
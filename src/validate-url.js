@@ -7,28 +7,46 @@ let url = require('url');
 let http = require('http');
 
 // Validate a URL against a list of patterns.  If any pattern is matching, then
-// it's considered valid.  This means that it is a whitelist and not a
-// blacklist.  Checking for SSL is done in the src/request.js file instead of
-// here to avoid duplicating that check
+// it's considered valid and the first matching pattern is returned.  This
+// means that it is a whitelist and not a blacklist.  Checking for SSL is done
+// in the src/request.js file instead of here to avoid duplicating that check
 function validateUrl(u, allowedPatterns) {
   for (let pattern of allowedPatterns) {
     if (pattern.test(u)) {
-      return true;
+      return pattern;
     }
   }
-  return false;
+  return undefined;
+}
+
+// Return the smaller of two size limits, either of which may be undefined
+// for no limit
+function minSize(a, b) {
+  if (typeof a !== 'number') {
+    return b;
+  }
+  if (typeof b !== 'number') {
+    return a;
+  }
+  return Math.min(a, b);
 }
 
 // Follow a redirect and return the final URL, headers of the final resource
 // and a list of addresses which were redirected to.  If `ensureSSL` is
 // specified then all urls in the redirect chain *must* be HTTPS urls.
 //
+// The maximum size of the resource is the smallest of `opts.maxSize` and the
+// `maxSize` of the patterns matching the urls in the redirect chain.  If the
+// final resource has a Content-Length larger than that, an error with code
+// 'TooLarge' is thrown.
+//
 // This function either throws an exception in error cases and will return an
 // object in the shape:
 // { url: <finalUrl>,
 //   headers: <headers of finalUrl>,
 //   statusCode: <http status code of finalUrl>,
-//   addresses: <list of e.g. {c: <statusCode>, u: <url>, t: <iso datetime>} }
+//   addresses: <list of e.g. {c: <statusCode>, u: <url>, t: <iso datetime>},
+//   maxSize: <maximum size in bytes, or undefined if there is no limit> }
 async function followRedirect(opts) {
   assert(typeof opts === 'object');
   assert(typeof opts.url === 'string');
@@ -39,12 +57,17 @@ async function followRedirect(opts) {
     assert(typeof opts.maxRedirects === 'number');
     maxRedirects = opts.maxRedirects;
   } 
+  if (typeof opts.maxSize !== 'undefined') {
+    assert(typeof opts.maxSize === 'number');
+  }
 
   let u = opts.url;
   let addresses = [];
+  let maxSize = opts.maxSize;
 
   for (let x = 0 ; x < maxRedirects ; x++) {
-    if (!validateUrl(u, opts.allowedPatterns)) {
+    let pattern = validateUrl(u, opts.allowedPatterns);
+    if (!pattern) {
       let err = new Error('URL does not validate: ' + u);
       err.url = u;
       err.addresses = addresses;
@@ -52,6 +75,7 @@ async function followRedirect(opts) {
       err.statusCode = 403;
       throw err;
     }
+    maxSize = minSize(maxSize, pattern.maxSize);
 
     let result = await request(u, {
       method: 'HEAD',
@@ -75,12 +99,22 @@ async function followRedirect(opts) {
     });
 
     if (code >= 200 && code < 300 || code === 304) {
+      let contentLength = parseInt(result.headers['content-length'], 10);
+      if (typeof maxSize === 'number' && contentLength > maxSize) {
+        let err = new Error(`Resource is ${contentLength} bytes, more than the maximum of ${maxSize}`);
+        err.url = u;
+        err.addresses = addresses;
+        err.code = 'TooLarge';
+        err.statusCode = 413;
+        throw err;
+      }
       debug('found a good resource, returning');
       return {
         url: u,
         statusCode: code,
         headers: result.headers,
         addresses: addresses,
+        maxSize: maxSize,
       };
     } else if (code >= 300 && code < 400 && code !== 305) {
       debug('found a redirect, redirecting');
@@ -0,0 +1,206 @@
+let assume = require('assume');
+let stream = require('stream');
+let path = require('path');
+let os = require('os');
+let fs = require('fs');
+let http = require('http');
+let api = require('../lib/api-v1');
+let bulkPurge = require('../lib/bulk-purge');
+let CacheManager = require('../lib/cache-manager').CacheManager;
+let FilesystemStorageProvider = require('../lib/filesystem-storage-provider').FilesystemStorageProvider;
+let MemoryMetadataStore = require('../lib/memory-metadata-store').MemoryMetadataStore;
+
+describe('API', () => {
+  let directory = path.join(os.tmpdir(), 'cloud-mirror-api-test-' + process.pid);
+  let counts;
+  let monitor = {
+    count: (key, value) => counts[key] = (counts[key] || 0) + value,
+    measure: () => {},
+    reportError: () => {},
+    prefix: () => monitor,
+  };
+  let server;
+  let rawUrl;
+
+  // Upstream answers the validation of urls, while copies are made with
+  // createUrlReadStream of the cache manager
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, {'content-type': 'text/plain', 'content-length': '6'});
+      res.end(req.method === 'HEAD' ? undefined : 'mirror');
+    });
+    await new Promise(accept => server.listen(0, 'localhost', accept));
+    rawUrl = `http://localhost:${server.address().port}/file`;
+  });
+
+  after(() => {
+    server.close();
+    for (let name of fs.readdirSync(path.join(directory, 'local'))) {
+      fs.unlinkSync(path.join(directory, 'local', name));
+    }
+    fs.rmdirSync(path.join(directory, 'local'));
+    fs.rmdirSync(directory);
+  });
+
+  beforeEach(() => {
+    counts = {};
+  });
+
+  // Call the handler of the named endpoint like the api does, and resolve
+  // with the response that it sent.  Requests have the scopes which
+  // satisfies() allows
+  async function call(name, context, params, satisfies = () => true) {
+    let handler = api._entries.find(entry => entry.name === name).handler;
+    let response = {headers: {}};
+    let res = {
+      status: statusCode => {
+        response.statusCode = statusCode;
+        return res;
+      },
+      location: location => {
+        response.location = location;
+        return res;
+      },
+      set: headers => {
+        Object.assign(response.headers, headers);
+        return res;
+      },
+      json: body => {
+        response.body = body;
+        return res;
+      },
+      reply: body => {
+        response.statusCode = 200;
+        response.body = body;
+      },
+      reportError: code => {
+        response.error = code;
+      },
+    };
+    await handler.call(context, {params, satisfies}, res);
+    return response;
+  }
+
+  describe('redirect', () => {
+    let cacheManager;
+    let context;
+
+    // The copy fails for as long as failures is above zero
+    let failures;
+
+    beforeEach(() => {
+      let storageProvider = new FilesystemStorageProvider({
+        service: 'fs',
+        region: 'local',
+        directory,
+        lifespan: 1,
+        publicUrl: 'http://localhost:5555/v1',
+        monitor,
+      });
+      cacheManager = new CacheManager({
+        allowedPatterns: [/^http:\/\/localhost:/],
+        cacheTTL: 600,
+        metadataStore: new MemoryMetadataStore(),
+        ensureSSL: false,
+        retry: {baseDelay: 1, maxAttempts: 2},
+        storageProvider,
+        monitor,
+        queueSender: {
+          insert: async msg => setImmediate(() => cacheManager.put(msg.url)),
+        },
+      });
+      cacheManager.createUrlReadStream = async () => {
+        if (failures > 0) {
+          failures--;
+          throw new Error('upstream is broken');
+        }
+        let input = new stream.PassThrough();
+        input.setTimeout = () => {};
+        setImmediate(() => input.end('mirror'));
+        let headers = {'content-type': 'text/plain', 'content-length': '6'};
+        return {stream: input, url: rawUrl, statusCode: 200, headers, addresses: []};
+      };
+      context = {
+        cacheManagers: [cacheManager],
+        allowedPatterns: [/^http:\/\/localhost:/],
+        ensureSSL: false,
+        maxWaitForCachedCopy: 5000,
+        monitor,
+      };
+    });
+
+    function redirect() {
+      return call('redirect', context, {service: 'fs', region: 'local', url: rawUrl});
+    }
+
+    it('should keep redirecting to the mirror until retries are exhausted', async () => {
+      // After the first failure, the copy is retried once the backoff is over
+      // and the client waits for it
+      failures = 1;
+      await cacheManager.put(rawUrl);
+      assume((await cacheManager.readCacheEntry(rawUrl)).status).equals('error');
+      let response = await redirect();
+      assume(response.statusCode).equals(302);
+      assume(response.location).equals(await cacheManager.storageProvider.worldAddress(rawUrl));
+      assume(counts['redirect-original-failing']).is.undefined();
+
+      // After the maxAttempts-th failure, clients go to upstream straight away
+      await cacheManager.purge(rawUrl);
+      failures = 2;
+      await cacheManager.put(rawUrl);
+      let key = cacheManager.cacheKey(rawUrl);
+      let entry = await cacheManager.metadataStore.get(key);
+      entry.nextRetry = new Date().toISOString();
+      await cacheManager.metadataStore.set(key, entry);
+      await cacheManager.put(rawUrl);
+      response = await redirect();
+      assume(response.statusCode).equals(302);
+      assume(response.location).equals(rawUrl);
+      assume(counts['fs.local.redirect-original-failing']).equals(1);
+    });
+  });
+
+  describe('bulkPurgeJob', () => {
+    let context;
+    let jobId;
+
+    beforeEach(async () => {
+      let store = new MemoryMetadataStore();
+      let cacheManager = {
+        id: 'fake_east',
+        storageProvider: {service: 'fake', region: 'east'},
+        listCachedUrls: async () => ['https://example.com/a'],
+        purge: async () => {},
+      };
+      let job = await bulkPurge.startPurgeJob({
+        cacheManagers: [cacheManager],
+        store,
+        prefix: 'https://example.com/',
+        clientId: 'tester',
+        pageSize: 10,
+        maxRecordedUrls: 10,
+        ttl: 60,
+        monitor,
+      });
+      await job.done;
+      jobId = job.jobId;
+      context = {metadataStore: store, monitor};
+    });
+
+    it('should tell the job to those with the scopes of its regions', async () => {
+      let scopes = [];
+      let response = await call('bulkPurgeJob', context, {jobId}, params => {
+        scopes.push(params);
+        return true;
+      });
+      assume(scopes).deeply.equals([{service: 'fake', region: 'east'}]);
+      assume(response.body.clientId).equals('tester');
+      assume(response.body.urls).has.length(1);
+    });
+
+    it('should not tell the job to anybody else', async () => {
+      let response = await call('bulkPurgeJob', context, {jobId}, () => false);
+      assume(response.body).is.undefined();
+    });
+  });
+});
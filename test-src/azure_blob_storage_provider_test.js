@@ -0,0 +1,162 @@
+let assume = require('assume');
+let stream = require('stream');
+let azure = require('azure-storage');
+let request = require('request-promise').defaults({
+  simple: false,
+  resolveWithFullResponse: true,
+});
+let subject = require('../lib/azure-blob-storage-provider');
+
+// These tests need an Azure storage emulator like Azurite and its connection
+// string, e.g. AZURE_STORAGE_CONNECTION_STRING=UseDevelopmentStorage=true
+let connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
+
+describe('Azure Blob Storage Provider', () => {
+  let container = 'cloud-mirror-test';
+
+  function createProvider(blobService) {
+    return new subject.AzureBlobStorageProvider({
+      service: 'azure',
+      region: 'westus2',
+      container: container,
+      blobService: blobService,
+      lifespan: 1,
+      monitor: {},
+    });
+  }
+
+  it('should generate world addresses', () => {
+    let provider = createProvider(azure.createBlobService('UseDevelopmentStorage=true'));
+    let testUrl = 'https://example.com/a/b?c=d';
+    assume(provider.id).equals('azure_westus2');
+    assume(provider.worldAddress(testUrl)).equals(
+      `http://127.0.0.1:10000/devstoreaccount1/${container}/${encodeURIComponent(testUrl)}`);
+  });
+
+  describe('with a fake blob service', () => {
+    let day = 24 * 60 * 60 * 1000;
+    let testUrl = 'https://example.com/file.txt';
+    let blobs;
+    let listOptions;
+    let blobService = {
+      getBlobPropertiesAsync: async (container, name) => blobs[name],
+      setBlobMetadataAsync: async (container, name, metadata) => {
+        blobs[name] = {name, metadata, lastModified: new Date().toUTCString()};
+      },
+      // Continuation tokens are the index of the next blob
+      listBlobsSegmentedAsync: async (container, token, options) => {
+        listOptions = options;
+        let names = Object.keys(blobs).sort();
+        let start = token ? token.next : 0;
+        let end = options.maxResults ? start + options.maxResults : names.length;
+        return {
+          entries: names.slice(start, end).map(name => blobs[name]),
+          continuationToken: end < names.length ? {next: end} : undefined,
+        };
+      },
+      deleteBlobIfExistsAsync: async (container, name) => {
+        delete blobs[name];
+      },
+    };
+
+    beforeEach(() => {
+      // A blob which was stored two days ago
+      let created = new Date(Date.now() - 2 * day);
+      blobs = {
+        [testUrl]: {
+          name: testUrl,
+          metadata: {cloud_mirror_upstream_url: testUrl, cloudmirrorcreated: created.toISOString()},
+          lastModified: created.toUTCString(),
+        },
+      };
+    });
+
+    it('should keep the creation time when the metadata changes', async () => {
+      let provider = createProvider(blobService);
+      await provider.updateMetadata(testUrl, {}, {'cloud-mirror-upstream-url': testUrl, 'cloud-mirror-sha256': 'x'});
+
+      assume(await subject.expireAzureBlobs(blobService, container, 1)).equals(1);
+      assume(listOptions.include).equals('metadata');
+      assume(blobs).deeply.equals({});
+    });
+
+    it('should restart the lifespan of refreshed blobs', async () => {
+      let provider = createProvider(blobService);
+      await provider.refresh(testUrl, {}, {'cloud-mirror-upstream-url': testUrl});
+
+      assume(await subject.expireAzureBlobs(blobService, container, 1)).equals(0);
+      assume(blobs[testUrl].metadata.cloud_mirror_upstream_url).equals(testUrl);
+    });
+
+    it('should list blobs in pages of the given size', async () => {
+      let provider = createProvider(blobService);
+      for (let name of ['https://example.com/a', 'https://example.com/b']) {
+        blobs[name] = {name, metadata: {}, lastModified: new Date().toUTCString()};
+      }
+
+      let page = await provider.list(undefined, 2);
+      assume(page.rawUrls).deeply.equals(['https://example.com/a', 'https://example.com/b']);
+      page = await provider.list(page.marker, 2);
+      assume(page.rawUrls).deeply.equals([testUrl]);
+      assume(page.marker).is.undefined();
+    });
+
+    it('should fall back to the last modification of older blobs', async () => {
+      delete blobs[testUrl].metadata.cloudmirrorcreated;
+      assume(await subject.expireAzureBlobs(blobService, container, 3)).equals(0);
+      assume(await subject.expireAzureBlobs(blobService, container, 1)).equals(1);
+    });
+  });
+
+  describe('against a storage emulator', () => {
+    let blobService;
+    let provider;
+
+    before(async function() {
+      if (!connectionString) {
+        this.skip();
+      }
+      blobService = azure.createBlobService(connectionString);
+      await subject.createAzureContainer(blobService, container);
+      provider = createProvider(blobService);
+    });
+
+    it('should store, serve and purge a blob', async () => {
+      let testUrl = 'https://example.com/file.txt';
+      let body = new stream.PassThrough();
+      body.end('hello, world');
+
+      await provider.put(testUrl, body, {
+        'Content-Type': 'text/plain',
+        'Content-Disposition': 'attachment',
+      }, {
+        'cloud-mirror-upstream-url': testUrl,
+      });
+
+      let properties = await blobService.getBlobPropertiesAsync(container, testUrl);
+      assume(properties.contentSettings.contentType).equals('text/plain');
+      assume(properties.contentSettings.contentDisposition).equals('attachment');
+      assume(properties.metadata.cloud_mirror_upstream_url).equals(testUrl);
+
+      let response = await request(provider.worldAddress(testUrl));
+      assume(response.statusCode).equals(200);
+      assume(response.body).equals('hello, world');
+
+      await provider.purge(testUrl);
+      // Purging an absent blob is not an error
+      await provider.purge(testUrl);
+
+      let result = await blobService.doesBlobExistAsync(container, testUrl);
+      assume(result.exists).is.false();
+    });
+
+    it('should only expire old blobs', async () => {
+      let testUrl = 'https://example.com/fresh.txt';
+      await blobService.createBlockBlobFromTextAsync(container, testUrl, 'fresh');
+
+      assume(await subject.expireAzureBlobs(blobService, container, 1)).equals(0);
+      // A negative lifespan puts the cutoff in the future
+      assume(await subject.expireAzureBlobs(blobService, container, -1)).equals(1);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+let assume = require('assume');
+let subject = require('../lib/bulk-purge');
+let MemoryMetadataStore = require('../lib/memory-metadata-store').MemoryMetadataStore;
+
+describe('Bulk purging', () => {
+  let store;
+  let monitor = {count: () => {}, reportError: () => {}};
+
+  // A cache manager with cache entries for cached urls and objects for
+  // stored urls, which lists its objects in pages of pageSize
+  function fakeCacheManager(region, cached, stored = []) {
+    let cacheManager = {
+      id: `fake_${region}`,
+      storageProvider: {
+        service: 'fake',
+        region,
+        list: async (marker, limit) => {
+          let start = marker ? parseInt(marker, 10) : 0;
+          let end = start + limit;
+          return {
+            rawUrls: stored.slice(start, end),
+            marker: end < stored.length ? String(end) : undefined,
+          };
+        },
+      },
+      purged: [],
+      listCachedUrls: async prefix => cached.filter(x => x.startsWith(prefix || '')),
+      purge: async rawUrl => {
+        cacheManager.purged.push(rawUrl);
+      },
+    };
+    return cacheManager;
+  }
+
+  async function run(cacheManagers, options) {
+    let {jobId, done} = await subject.startPurgeJob(Object.assign({
+      cacheManagers,
+      store,
+      clientId: 'tester',
+      pageSize: 2,
+      maxRecordedUrls: 10,
+      ttl: 60,
+      monitor,
+    }, options));
+    await done;
+    return await subject.readJob({jobId, store});
+  }
+
+  let broken = 'https://example.com/broken/';
+
+  beforeEach(() => {
+    store = new MemoryMetadataStore();
+  });
+
+  it('should purge urls by prefix from every region', async () => {
+    let east = fakeCacheManager('east', [broken + 'a', broken + 'b', 'https://example.com/fine']);
+    let west = fakeCacheManager('west', [broken + 'a']);
+
+    let job = await run([east, west], {prefix: broken});
+    assume(east.purged).deeply.equals([broken + 'a', broken + 'b']);
+    assume(west.purged).deeply.equals([broken + 'a']);
+    assume(job.state).equals('completed');
+    assume(job.clientId).equals('tester');
+    assume(job.prefix).equals(broken);
+    assume(job.matched).equals(3);
+    assume(job.purged).equals(3);
+    assume(job.urls).deeply.equals([
+      {service: 'fake', region: 'east', url: broken + 'a'},
+      {service: 'fake', region: 'east', url: broken + 'b'},
+      {service: 'fake', region: 'west', url: broken + 'a'},
+    ]);
+    assume(job.truncated).is.false();
+  });
+
+  it('should purge urls by pattern, including stored objects', async () => {
+    let east = fakeCacheManager('east', [broken + 'a.zip'], [broken + 'a.zip', broken + 'b.zip', broken + 'c.txt']);
+
+    let job = await run([east], {pattern: /\.zip$/, listObjects: true});
+    assume(east.purged).deeply.equals([broken + 'a.zip', broken + 'b.zip']);
+    assume(job.pattern).equals('\\.zip$');
+  });
+
+  it('should only find urls in a dry run', async () => {
+    let east = fakeCacheManager('east', [broken + 'a', broken + 'b']);
+
+    let job = await run([east], {prefix: broken, dryRun: true});
+    assume(east.purged).deeply.equals([]);
+    assume(job.dryRun).is.true();
+    assume(job.matched).equals(2);
+    assume(job.purged).equals(0);
+    assume(job.urls.map(x => x.url)).deeply.equals([broken + 'a', broken + 'b']);
+  });
+
+  it('should only record up to maxRecordedUrls urls', async () => {
+    let east = fakeCacheManager('east', [broken + 'a', broken + 'b', broken + 'c']);
+
+    let job = await run([east], {prefix: broken, maxRecordedUrls: 2});
+    assume(east.purged).has.length(3);
+    assume(job.matched).equals(3);
+    assume(job.purged).equals(3);
+    assume(job.urls.map(x => x.url)).deeply.equals([broken + 'a', broken + 'b']);
+    assume(job.maxRecordedUrls).equals(2);
+    assume(job.truncated).is.true();
+  });
+
+  it('should compile safe patterns', () => {
+    let regexp = subject.compilePattern('^https://example\\.com/(a|b)/[(+|]*\\.zip$');
+    assume(regexp.test('https://example.com/a/(+.zip')).is.true();
+    assume(subject.compilePattern('^https://(\\w+\\.)?example\\.com/').test('https://www.example.com/')).is.true();
+  });
+
+  it('should refuse invalid patterns and nested quantifiers or alternations', () => {
+    let patterns = ['^(a', '^(a+)+$', '^(\\w*b)*$', '^((ab)+c)+$', '^(a{2,})+', '^(a|a)*$', '^(a|aa)+$', '^((a|b)c)+'];
+    for (let pattern of patterns) {
+      let err;
+      try {
+        subject.compilePattern(pattern);
+      } catch (e) {
+        err = e;
+      }
+      assume(err).exists();
+      assume(err.code).equals('InvalidPattern');
+    }
+  });
+
+  it('should count urls which fail to be purged and go on', async () => {
+    let east = fakeCacheManager('east', [broken + 'a', broken + 'b']);
+    let west = fakeCacheManager('west', [broken + 'a']);
+    let purge = east.purge;
+    east.purge = async rawUrl => {
+      if (rawUrl === broken + 'a') {
+        throw new Error('purge failed');
+      }
+      await purge(rawUrl);
+    };
+
+    let job = await run([east, west], {prefix: broken});
+    assume(job.state).equals('completed');
+    assume(east.purged).deeply.equals([broken + 'b']);
+    assume(west.purged).deeply.equals([broken + 'a']);
+    assume(job.matched).equals(3);
+    assume(job.purged).equals(2);
+    assume(job.failed).equals(1);
+    assume(job.urls.map(x => x.region + ' ' + x.url)).deeply.equals(['east ' + broken + 'b', 'west ' + broken + 'a']);
+  });
+
+  it('should record failures', async () => {
+    let east = fakeCacheManager('east', [broken + 'a', broken + 'b']);
+    east.listCachedUrls = async () => {
+      throw new Error('listing failed');
+    };
+
+    let job = await run([east], {prefix: broken});
+    assume(job.state).equals('failed');
+    assume(job.error).equals('listing failed');
+    assume(job.finished).is.a('string');
+  });
+});
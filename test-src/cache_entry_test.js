@@ -0,0 +1,59 @@
+let assume = require('assume');
+let subject = require('../lib/cache-entry');
+
+describe('Cache entries', () => {
+  let object = {
+    size: 12,
+    contentType: 'text/plain',
+    etag: '"abc"',
+    finalUrl: 'https://example.com/final',
+    addresses: [
+      {c: 302, u: 'https://example.com/first', t: '2017-01-01T00:00:00.000Z'},
+      {c: 200, u: 'https://example.com/final', t: '2017-01-01T00:00:01.000Z'},
+    ],
+    storedAt: new Date('2017-01-01T00:00:02.000Z'),
+    copyDuration: 1234,
+    expires: new Date('2017-01-02T00:00:02.000Z'),
+  };
+
+  it('should describe objects in strings', () => {
+    let fields = subject.describeObject(object);
+    for (let field of Object.keys(fields)) {
+      assume(fields[field]).is.a('string');
+    }
+    assume(subject.describeObject({})).deeply.equals({});
+  });
+
+  it('should read the objects that it described', () => {
+    let fields = subject.describeObject(object);
+    let cacheEntry = Object.assign({
+      version: String(subject.CACHE_ENTRY_VERSION),
+      url: 'https://example.com/first',
+      status: 'present',
+    }, fields);
+    assume(subject.readObjectDescription(cacheEntry)).deeply.equals(object);
+  });
+
+  it('should still read version 1 entries', () => {
+    let cacheEntry = {url: 'https://example.com/first', status: 'present', stack: 'NO ERROR CONDITION'};
+    assume(subject.entryVersion(cacheEntry)).equals(1);
+    assume(subject.readObjectDescription(cacheEntry)).deeply.equals({});
+  });
+
+  it('should describe stored objects from their metadata', () => {
+    let description = subject.describeStoredObject({
+      size: 12,
+      headers: {'Content-Type': 'text/plain'},
+      metadata: {
+        'cloud-mirror-upstream-etag': '<unknown>',
+        'cloud-mirror-addresses': JSON.stringify(object.addresses),
+        'cloud-mirror-stored': '2017-01-01T00:00:02.000Z',
+      },
+      expires: object.expires,
+    });
+    assume(description.etag).is.undefined();
+    assume(description.finalUrl).equals('https://example.com/final');
+    assume(description.storedAt).deeply.equals(object.storedAt);
+    assume(description.expires).equals(object.expires);
+  });
+});
@@ -0,0 +1,910 @@
+let assume = require('assume');
+let stream = require('stream');
+let crypto = require('crypto');
+let path = require('path');
+let os = require('os');
+let fs = require('fs');
+let http = require('http');
+let subject = require('../lib/cache-manager');
+let FilesystemStorageProvider = require('../lib/filesystem-storage-provider').FilesystemStorageProvider;
+let S3StorageProvider = require('../lib/s3-storage-provider').S3StorageProvider;
+let MemoryMetadataStore = require('../lib/memory-metadata-store').MemoryMetadataStore;
+
+describe('Cache Manager', () => {
+  let directory = path.join(os.tmpdir(), 'cloud-mirror-cm-test-' + process.pid);
+  let counts;
+  let monitor = {
+    count: (key, value) => counts[key] = (counts[key] || 0) + value,
+    measure: () => {},
+    reportError: () => {},
+    prefix: () => monitor,
+  };
+
+  function createCacheManager(config = {}, region = 'local') {
+    let storageProvider = new FilesystemStorageProvider({
+      service: 'fs',
+      region,
+      directory,
+      lifespan: 1,
+      publicUrl: 'http://localhost:5555/v1',
+      monitor,
+    });
+
+    let cacheManager = new subject.CacheManager(Object.assign({
+      allowedPatterns: [/^https:\/\/example\.com\//],
+      cacheTTL: 600,
+      metadataStore: new MemoryMetadataStore(),
+      ensureSSL: true,
+      storageProvider,
+      monitor,
+      queueSender: {
+        insert: async msg => cacheManager.queued.push(msg),
+      },
+    }, config));
+
+    // Upstream is a map of urls to their body and headers.  Like a real
+    // server, it answers range requests when the If-Range ETag matches and
+    // conditional requests when the If-None-Match ETag matches
+    cacheManager.upstream = {};
+    cacheManager.queued = [];
+    cacheManager.fetches = [];
+    cacheManager.ranges = [];
+    cacheManager.createUrlReadStream = async (rawUrl, {upload, validators} = {}) => {
+      let {body, headers} = cacheManager.upstream[rawUrl];
+      let statusCode = 200;
+      if (validators && validators.etag === headers.etag) {
+        statusCode = 304;
+        body = '';
+      } else if (upload && upload.etag === headers.etag) {
+        statusCode = 206;
+        cacheManager.ranges.push(upload.offset);
+        headers = Object.assign({}, headers, {
+          'content-length': String(body.length - upload.offset),
+          'content-range': `bytes ${upload.offset}-${body.length - 1}/${body.length}`,
+        });
+        body = body.slice(upload.offset);
+      }
+      let input = new stream.PassThrough();
+      input.setTimeout = () => {};
+      cacheManager.fetches.push(rawUrl);
+      setImmediate(() => input.end(body));
+      return {stream: input, url: rawUrl, statusCode, headers, addresses: [], maxSize: cacheManager.maxSize};
+    };
+
+    return cacheManager;
+  }
+
+  // Remove all stored files so that tests don't share any content
+  function removeFiles(removeDirectories = false) {
+    if (!fs.existsSync(directory)) {
+      return;
+    }
+    for (let region of fs.readdirSync(directory)) {
+      let regionDir = path.join(directory, region);
+      for (let name of fs.readdirSync(regionDir)) {
+        fs.unlinkSync(path.join(regionDir, name));
+      }
+      if (removeDirectories) {
+        fs.rmdirSync(regionDir);
+      }
+    }
+  }
+
+  beforeEach(() => {
+    counts = {};
+    removeFiles();
+  });
+
+  after(() => {
+    removeFiles(true);
+    fs.rmdirSync(directory);
+  });
+
+  describe('content-addressed layout', () => {
+    let body = 'the same toolchain';
+    let sha256 = crypto.createHash('sha256').update(body).digest('hex');
+    let headers = {'content-type': 'text/plain', etag: '"abc"'};
+
+    it('should store content under its digest', async () => {
+      let cacheManager = createCacheManager({contentAddressed: true});
+      let rawUrl = 'https://example.com/a';
+      cacheManager.upstream[rawUrl] = {body, headers};
+
+      await cacheManager.put(rawUrl);
+
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.sha256).equals(sha256);
+
+      let object = await cacheManager.storageProvider.head(subject.contentKey(sha256));
+      assume(object.size).equals(body.length);
+      assume(object.metadata['cloud-mirror-sha256']).equals(sha256);
+      assume(await cacheManager.storageProvider.head(rawUrl)).is.undefined();
+
+      let result = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(result.status).equals('present');
+      assume(result.url).equals('http://localhost:5555/v1/file/local/' +
+        encodeURIComponent(subject.contentKey(sha256)));
+
+      // Only the content object is left, not the staging one
+      let listing = await cacheManager.storageProvider.list(undefined, 10);
+      assume(listing.rawUrls).deeply.equals([subject.contentKey(sha256)]);
+    });
+
+    it('should share content between urls', async () => {
+      let cacheManager = createCacheManager({contentAddressed: true});
+      cacheManager.upstream['https://example.com/b'] = {body, headers};
+      cacheManager.upstream['https://example.com/c'] = {body, headers: {'content-type': 'text/plain'}};
+
+      await cacheManager.put('https://example.com/b');
+      await cacheManager.put('https://example.com/c');
+
+      assume(counts['dedup-after-copy']).equals(1);
+
+      let b = await cacheManager.getUrlForRedirect('https://example.com/b');
+      let c = await cacheManager.getUrlForRedirect('https://example.com/c');
+      assume(b.url).equals(c.url);
+    });
+
+    it('should skip the upload of known content', async () => {
+      let cacheManager = createCacheManager({contentAddressed: true});
+      let rawUrl = 'https://example.com/d';
+      cacheManager.upstream[rawUrl] = {body, headers};
+
+      await cacheManager.put(rawUrl);
+      let known = await cacheManager.metadataStore.get('cas_' + encodeURIComponent(rawUrl));
+      assume(known.sha256).equals(sha256);
+
+      await cacheManager.insertCacheEntry(rawUrl, 'pending', 600);
+      await cacheManager.put(rawUrl);
+      assume(counts['dedup-hit']).equals(1);
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.sha256).equals(sha256);
+    });
+  });
+
+  describe('revalidation', () => {
+    let rawUrl = 'https://example.com/revalidated';
+    let body = 'unchanged';
+    let cacheManager;
+
+    beforeEach(async () => {
+      cacheManager = createCacheManager();
+      cacheManager.upstream[rawUrl] = {body, headers: {'content-type': 'text/plain', etag: '"v1"'}};
+      await cacheManager.put(rawUrl);
+      // Pretend that the cache entry expired
+      await cacheManager.metadataStore.delete(cacheManager.cacheKey(rawUrl));
+    });
+
+    it('should only refresh unchanged content', async () => {
+      let before = await cacheManager.storageProvider.head(rawUrl);
+      await new Promise(accept => setTimeout(accept, 5));
+      await cacheManager.put(rawUrl);
+
+      assume(counts['source.revalidated']).equals(1);
+      assume(counts['source.origin']).equals(1);
+
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.sha256).equals(before.metadata['cloud-mirror-sha256']);
+
+      let after = await cacheManager.storageProvider.head(rawUrl);
+      assume(after.expires.getTime()).is.above(before.expires.getTime());
+      assume(after.metadata['cloud-mirror-stored']).does.not.equal(before.metadata['cloud-mirror-stored']);
+      assume(after.metadata['cloud-mirror-upstream-etag']).equals('"v1"');
+      assume(after.headers['Content-Type']).equals('text/plain');
+    });
+
+    it('should copy changed content', async () => {
+      cacheManager.upstream[rawUrl] = {body: 'changed', headers: {'content-type': 'text/plain', etag: '"v2"'}};
+      await cacheManager.put(rawUrl);
+
+      assume(counts['source.revalidated']).equals(undefined);
+      assume(counts['source.origin']).equals(2);
+      let after = await cacheManager.storageProvider.head(rawUrl);
+      assume(after.size).equals('changed'.length);
+      assume(after.metadata['cloud-mirror-upstream-etag']).equals('"v2"');
+    });
+  });
+
+  describe('seeding from sibling regions', () => {
+    let rawUrl = 'https://example.com/seeded';
+    let body = 'copied once';
+    let upstream;
+    let west;
+    let east;
+
+    beforeEach(async () => {
+      west = createCacheManager({}, 'west');
+      east = createCacheManager({metadataStore: west.metadataStore, siblings: [west]}, 'east');
+      upstream = {[rawUrl]: {body, headers: {'content-type': 'text/plain'}}};
+      west.upstream = east.upstream = upstream;
+      await west.put(rawUrl);
+      assume(west.fetches).deeply.equals([rawUrl]);
+    });
+
+    it('should copy from a sibling where the url is present', async () => {
+      await east.put(rawUrl);
+      assume(east.fetches).deeply.equals([]);
+      assume(counts['source.sibling-copy']).equals(1);
+      assume(counts['source.fs_west']).equals(1);
+
+      let entry = await east.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.sha256).equals(crypto.createHash('sha256').update(body).digest('hex'));
+
+      let object = await east.storageProvider.head(rawUrl);
+      assume(object.size).equals(body.length);
+      assume(object.headers['Content-Type']).equals('text/plain');
+      assume(object.metadata['cloud-mirror-seeded-from']).equals('fs_west');
+    });
+
+    it('should stream from the world address of a sibling', async () => {
+      // Serve the files of the west region like the API does
+      let server = http.createServer(async (req, res) => {
+        let file = await west.storageProvider.read(decodeURIComponent(req.url.split('/').pop()));
+        res.writeHead(200, file.headers);
+        file.stream.pipe(res);
+      });
+      await new Promise(accept => server.listen(0, 'localhost', accept));
+      west.storageProvider.publicUrl = `http://localhost:${server.address().port}/v1`;
+      east.storageProvider.canCopyFrom = () => false;
+      east.ensureSSL = false;
+
+      try {
+        await east.put(rawUrl);
+      } finally {
+        server.close();
+      }
+
+      assume(east.fetches).deeply.equals([]);
+      assume(counts['source.sibling-stream']).equals(1);
+      assume((await east.readCacheEntry(rawUrl)).status).equals('present');
+    });
+
+    it('should fall back to upstream', async () => {
+      await west.purge(rawUrl);
+      await east.put(rawUrl);
+      assume(east.fetches).deeply.equals([rawUrl]);
+      assume(counts['source.origin']).equals(2);
+    });
+  });
+
+  describe('resumable uploads', () => {
+    let rawUrl = 'https://example.com/large';
+    let body = 'abcdefghij';
+    let headers = {
+      'content-type': 'text/plain',
+      'content-length': String(body.length),
+      'accept-ranges': 'bytes',
+      etag: '"v1"',
+    };
+
+    // An S3 object which keeps multipart uploads in memory and fails the
+    // upload of the parts with the numbers in failParts once
+    function fakeS3(failParts = []) {
+      let s3 = {uploads: {}, objects: {}, aborted: []};
+      let respond = fn => params => ({promise: async () => fn(params)});
+      s3.createMultipartUpload = respond(params => {
+        let id = `upload-${Object.keys(s3.uploads).length}`;
+        s3.uploads[id] = {};
+        return {UploadId: id};
+      });
+      s3.uploadPart = respond(params => {
+        if (failParts.includes(params.PartNumber)) {
+          failParts.splice(failParts.indexOf(params.PartNumber), 1);
+          throw new Error('part failed');
+        }
+        s3.uploads[params.UploadId][params.PartNumber] = params.Body.toString();
+        return {ETag: `"${params.PartNumber}"`};
+      });
+      s3.completeMultipartUpload = respond(params => {
+        let parts = s3.uploads[params.UploadId];
+        s3.objects[params.Key] = params.MultipartUpload.Parts.map(x => parts[x.PartNumber]).join('');
+        return {};
+      });
+      s3.abortMultipartUpload = respond(params => {
+        s3.aborted.push(params.UploadId);
+        return {};
+      });
+      s3.copyObject = respond(params => ({}));
+      return s3;
+    }
+
+    function createS3CacheManager(s3) {
+      let cacheManager = createCacheManager({
+        storageProvider: new S3StorageProvider({
+          service: 's3',
+          region: 'us-west-2',
+          bucket: 'cloud-mirror-test',
+          partSize: 4,
+          queueSize: 1,
+          s3,
+          acl: 'public-read',
+          lifespan: 1,
+          monitor,
+        }),
+        // Failed uploads are retried right away
+        retry: {baseDelay: 0},
+      });
+      cacheManager.upstream[rawUrl] = {body, headers};
+      return cacheManager;
+    }
+
+    it('should resume a failed upload from the last part', async () => {
+      let s3 = fakeS3([2]);
+      let cacheManager = createS3CacheManager(s3);
+
+      await cacheManager.put(rawUrl);
+      assume((await cacheManager.readCacheEntry(rawUrl)).status).equals('error');
+      let upload = await cacheManager.readUpload(rawUrl);
+      assume(upload.offset).equals(4);
+      assume(upload.etag).equals('"v1"');
+
+      await cacheManager.put(rawUrl);
+      assume(cacheManager.ranges).deeply.equals([4]);
+      assume(counts['upload-resumed']).equals(1);
+      assume(s3.objects[rawUrl]).equals(body);
+      assume((await cacheManager.readCacheEntry(rawUrl)).status).equals('present');
+      assume(await cacheManager.readUpload(rawUrl)).is.undefined();
+    });
+
+    it('should start over when upstream changed', async () => {
+      let s3 = fakeS3([2]);
+      let cacheManager = createS3CacheManager(s3);
+
+      await cacheManager.put(rawUrl);
+      cacheManager.upstream[rawUrl] = {body: 'klmnopqrst', headers: Object.assign({}, headers, {etag: '"v2"'})};
+
+      await cacheManager.put(rawUrl);
+      assume(cacheManager.ranges).deeply.equals([]);
+      assume(s3.aborted).deeply.equals(['upload-0']);
+      assume(s3.objects[rawUrl]).equals('klmnopqrst');
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.sha256).equals(crypto.createHash('sha256').update('klmnopqrst').digest('hex'));
+    });
+
+    it('should not resume without range support', async () => {
+      let s3 = fakeS3([2]);
+      let cacheManager = createS3CacheManager(s3);
+      cacheManager.upstream[rawUrl].headers = Object.assign({}, headers, {'accept-ranges': 'none'});
+      s3.upload = () => ({send: cb => cb(new Error('upload failed')), abort: () => {}});
+
+      await cacheManager.put(rawUrl);
+      assume(await cacheManager.readUpload(rawUrl)).is.undefined();
+      assume(Object.keys(s3.uploads)).deeply.equals([]);
+    });
+  });
+
+  describe('size limits', () => {
+    it('should stop copying content larger than the maximum size', async () => {
+      let cacheManager = createCacheManager({maxSize: 10});
+      let rawUrl = 'https://example.com/large';
+      // Without a Content-Length, this is only noticed while streaming
+      cacheManager.upstream[rawUrl] = {
+        body: 'more than ten bytes',
+        headers: {'content-type': 'text/plain'},
+      };
+
+      await cacheManager.put(rawUrl);
+
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('error');
+      assume(entry.stack).includes('maximum of 10 bytes');
+      assume(await cacheManager.storageProvider.head(rawUrl)).is.undefined();
+    });
+
+    it('should copy content within the maximum size', async () => {
+      let cacheManager = createCacheManager({maxSize: 10});
+      let rawUrl = 'https://example.com/small';
+      cacheManager.upstream[rawUrl] = {
+        body: 'ten bytes!',
+        headers: {'content-type': 'text/plain'},
+      };
+
+      await cacheManager.put(rawUrl);
+
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+    });
+  });
+
+  describe('verification', () => {
+    let rawUrl = 'https://example.com/verified';
+    let intactMd5 = crypto.createHash('md5').update('intact').digest('base64');
+
+    it('should purge content whose checksum does not match', async () => {
+      let cacheManager = createCacheManager();
+      cacheManager.upstream[rawUrl] = {
+        body: 'corrupted',
+        headers: {'content-type': 'text/plain', 'content-md5': intactMd5},
+      };
+
+      await cacheManager.put(rawUrl);
+
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('error');
+      assume(entry.stack).includes('Content-MD5');
+      assume(counts['verification-failure']).equals(1);
+      assume(await cacheManager.storageProvider.head(rawUrl)).is.undefined();
+    });
+
+    it('should purge content whose size does not match', async () => {
+      let cacheManager = createCacheManager();
+      cacheManager.upstream[rawUrl] = {
+        body: 'truncated',
+        headers: {'content-type': 'text/plain', 'content-length': '100'},
+      };
+
+      await cacheManager.put(rawUrl);
+
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('error');
+      assume(entry.stack).includes('instead of Content-Length 100');
+      assume(counts['verification-failure']).equals(1);
+      assume(await cacheManager.storageProvider.head(rawUrl)).is.undefined();
+    });
+
+    it('should keep content which matches', async () => {
+      let cacheManager = createCacheManager();
+      cacheManager.upstream[rawUrl] = {
+        body: 'intact',
+        headers: {'content-type': 'text/plain', 'content-md5': intactMd5},
+      };
+
+      await cacheManager.put(rawUrl);
+
+      assume((await cacheManager.readCacheEntry(rawUrl)).status).equals('present');
+      assume(await cacheManager.storageProvider.head(rawUrl)).exists();
+    });
+  });
+
+  describe('quotas', () => {
+    let headers = {'content-type': 'text/plain'};
+
+    it('should keep track of the size and use of stored objects', async () => {
+      let cacheManager = createCacheManager({quota: 100});
+      let first = 'https://example.com/first';
+      let second = 'https://example.com/second';
+      cacheManager.upstream[first] = {body: 'first', headers};
+      cacheManager.upstream[second] = {body: 'second!', headers};
+
+      let usage = async () => (await cacheManager.readUsage()).map(x => [x.url, x.size]);
+
+      await cacheManager.put(first);
+      // Make sure that the access times differ
+      await new Promise(accept => setTimeout(accept, 5));
+      await cacheManager.put(second);
+      assume(await usage()).deeply.equals([[first, 5], [second, 7]]);
+
+      await new Promise(accept => setTimeout(accept, 5));
+      await cacheManager.getUrlForRedirect(first);
+      assume(await usage()).deeply.equals([[second, 7], [first, 5]]);
+
+      await cacheManager.purge(first);
+      assume(await usage()).deeply.equals([[second, 7]]);
+    });
+
+    it('should not keep track of objects without a quota', async () => {
+      let cacheManager = createCacheManager();
+      let rawUrl = 'https://example.com/untracked';
+      cacheManager.upstream[rawUrl] = {body: 'untracked', headers};
+      await cacheManager.put(rawUrl);
+      assume(await cacheManager.metadataStore.get(cacheManager.usageKey(rawUrl))).is.undefined();
+    });
+
+    it('should refuse a quota in the content-addressed layout', () => {
+      assume(() => createCacheManager({quota: 100, contentAddressed: true})).throws(/not supported/);
+    });
+  });
+
+  describe('leases', () => {
+    let rawUrl = 'https://example.com/leased';
+
+    it('should release the lease after copying', async () => {
+      let cacheManager = createCacheManager();
+      cacheManager.upstream[rawUrl] = {body: 'leased', headers: {'content-type': 'text/plain'}};
+      await cacheManager.put(rawUrl);
+      assume((await cacheManager.readCacheEntry(rawUrl)).status).equals('present');
+      assume(await cacheManager.metadataStore.get(cacheManager.leaseKey(rawUrl))).is.undefined();
+    });
+
+    it('should ignore puts of urls which are being copied', async () => {
+      let cacheManager = createCacheManager();
+      cacheManager.upstream[rawUrl] = {body: 'leased', headers: {'content-type': 'text/plain'}};
+      await cacheManager.metadataStore.set(cacheManager.leaseKey(rawUrl), {owner: 'another worker'});
+      await cacheManager.put(rawUrl);
+      assume(cacheManager.fetches).deeply.equals([]);
+      assume(counts['duplicate-put']).equals(1);
+      let lease = await cacheManager.metadataStore.get(cacheManager.leaseKey(rawUrl));
+      assume(lease.owner).equals('another worker');
+    });
+
+    it('should not request puts of urls which are being copied', async () => {
+      let cacheManager = createCacheManager();
+      await cacheManager.metadataStore.set(cacheManager.leaseKey(rawUrl), {owner: 'another worker'});
+      await cacheManager.requestPut(rawUrl);
+      assume(cacheManager.queued).deeply.equals([]);
+
+      await cacheManager.metadataStore.delete(cacheManager.leaseKey(rawUrl));
+      await cacheManager.requestPut(rawUrl);
+      assume(cacheManager.queued).has.length(1);
+    });
+  });
+
+  describe('retries', () => {
+    let rawUrl = 'https://example.com/broken';
+
+    // Upstream which fails every request
+    function createFailingCacheManager(config) {
+      let cacheManager = createCacheManager(config);
+      cacheManager.createUrlReadStream = async () => {
+        cacheManager.fetches.push(rawUrl);
+        throw new Error('upstream is broken');
+      };
+      return cacheManager;
+    }
+
+    // Pretend that the retry is due
+    async function makeRetryDue(cacheManager) {
+      let key = cacheManager.cacheKey(rawUrl);
+      let entry = await cacheManager.metadataStore.get(key);
+      entry.nextRetry = new Date().toISOString();
+      await cacheManager.metadataStore.set(key, entry);
+    }
+
+    it('should back off exponentially after failures', async () => {
+      let cacheManager = createFailingCacheManager({retry: {baseDelay: 10, maxDelay: 15}});
+
+      await cacheManager.put(rawUrl);
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('error');
+      assume(entry.attempts).equals('1');
+      let delay = new Date(entry.nextRetry) - new Date(entry.lastError);
+      assume(delay).equals(10 * 1000);
+
+      // Neither requests nor duplicate messages go through until it's due
+      assume(await cacheManager.requestPut(rawUrl)).is.false();
+      assume(cacheManager.queued).deeply.equals([]);
+      await cacheManager.put(rawUrl);
+      assume(cacheManager.fetches).has.length(1);
+
+      await makeRetryDue(cacheManager);
+      assume(await cacheManager.requestPut(rawUrl)).is.true();
+      assume((await cacheManager.readCacheEntry(rawUrl)).attempts).equals('1');
+      await cacheManager.put(rawUrl);
+      entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.attempts).equals('2');
+      delay = new Date(entry.nextRetry) - new Date(entry.lastError);
+      assume(delay).equals(15 * 1000);
+    });
+
+    it('should give up on redirects after too many failures', async () => {
+      let cacheManager = createFailingCacheManager({retry: {baseDelay: 10, maxAttempts: 2}});
+      await cacheManager.put(rawUrl);
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.attempts).equals(1);
+      assume(outcome.retriesExhausted).is.false();
+
+      await makeRetryDue(cacheManager);
+      await cacheManager.put(rawUrl);
+      outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.attempts).equals(2);
+      assume(outcome.retriesExhausted).is.true();
+    });
+
+    it('should forget failures once a copy succeeds', async () => {
+      let cacheManager = createCacheManager({retry: {baseDelay: 0}});
+      cacheManager.upstream[rawUrl] = {body: 'fixed', headers: {'content-type': 'text/plain'}};
+      let copy = cacheManager.createUrlReadStream;
+      cacheManager.createUrlReadStream = async () => {
+        throw new Error('upstream is broken');
+      };
+      await cacheManager.put(rawUrl);
+      assume((await cacheManager.readCacheEntry(rawUrl)).attempts).equals('1');
+
+      cacheManager.createUrlReadStream = copy;
+      await cacheManager.put(rawUrl);
+      let entry = await cacheManager.readCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.attempts).is.undefined();
+    });
+  });
+
+  describe('negative caching', () => {
+    let rawUrl = 'https://example.com/missing';
+
+    function createMissingCacheManager(statusCode) {
+      let cacheManager = createCacheManager();
+      cacheManager.createUrlReadStream = async () => {
+        let err = new Error('Unexpected HTTP Status: ' + statusCode);
+        err.statusCode = statusCode;
+        err.headers = {'x-upstream': 'yes'};
+        err.code = 'BadHTTPStatus';
+        throw err;
+      };
+      return cacheManager;
+    }
+
+    it('should remember client errors from upstream', async () => {
+      let cacheManager = createMissingCacheManager(404);
+      await cacheManager.put(rawUrl);
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('not-found');
+      assume(outcome.statusCode).equals(404);
+      assume(outcome.headers).deeply.equals({'x-upstream': 'yes'});
+      assume(counts['not-found']).equals(1);
+    });
+
+    it('should not remember server errors or rate limits', async () => {
+      for (let statusCode of [500, 429]) {
+        let cacheManager = createMissingCacheManager(statusCode);
+        await cacheManager.put(rawUrl);
+        let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+        assume(outcome.status).equals('error');
+        assume(await cacheManager.insertNotFound(rawUrl, statusCode)).is.false();
+      }
+    });
+  });
+
+  describe('progress', () => {
+    it('should report the progress of copies in pending entries', async () => {
+      let cacheManager = createCacheManager({progressInterval: 0.005});
+      let rawUrl = 'https://example.com/slow';
+      let input = new stream.PassThrough();
+      input.setTimeout = () => {};
+      cacheManager.createUrlReadStream = async () => ({
+        stream: input,
+        url: rawUrl,
+        statusCode: 200,
+        headers: {'content-type': 'text/plain', 'content-length': '6'},
+        addresses: [],
+      });
+
+      let put = cacheManager.put(rawUrl);
+      input.write('abc');
+      await new Promise(accept => setTimeout(accept, 30));
+
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('pending');
+      assume(outcome.progress.bytes).equals(3);
+      assume(outcome.progress.expected).equals(6);
+      assume(outcome.progress.workerId).equals(cacheManager.workerId);
+      assume(outcome.progress.bytesPerSecond).is.above(0);
+
+      input.end('def');
+      await put;
+      outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('present');
+      assume(outcome.progress).is.undefined();
+    });
+  });
+
+  describe('cache entry records', () => {
+    it('should describe the stored object in present entries', async () => {
+      let cacheManager = createCacheManager();
+      let rawUrl = 'https://example.com/described';
+      cacheManager.upstream[rawUrl] = {body: 'described', headers: {'content-type': 'text/plain', etag: '"d"'}};
+      await cacheManager.put(rawUrl);
+
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('present');
+      assume(outcome.object.size).equals(9);
+      assume(outcome.object.contentType).equals('text/plain');
+      assume(outcome.object.etag).equals('"d"');
+      assume(outcome.object.finalUrl).equals(rawUrl);
+      assume(outcome.object.copyDuration).is.a('number');
+      assume(outcome.object.expires.getTime()).is.above(Date.now());
+
+      // A backfilled entry is described from the object's metadata
+      await cacheManager.metadataStore.delete(cacheManager.cacheKey(rawUrl));
+      outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.object.size).equals(9);
+      assume(outcome.object.etag).equals('"d"');
+    });
+
+    it('should mark copies present before adding the digests to the object', async () => {
+      let cacheManager = createCacheManager();
+      let rawUrl = 'https://example.com/digested';
+      cacheManager.upstream[rawUrl] = {body: 'digested', headers: {'content-type': 'text/plain'}};
+      let statuses = [];
+      cacheManager.storageProvider.updateMetadata = async (url, headers, storageMetadata) => {
+        statuses.push((await cacheManager.peekCacheEntry(url)).status);
+        assume(storageMetadata['cloud-mirror-sha256']).is.a('string');
+        throw new Error('metadata update failed');
+      };
+      await cacheManager.put(rawUrl);
+
+      assume(statuses).deeply.equals(['present']);
+      assume(counts['metadata-update-failure']).equals(1);
+      assume((await cacheManager.peekCacheEntry(rawUrl)).status).equals('present');
+    });
+  });
+
+  describe('backfilling', () => {
+    let rawUrl = 'https://example.com/backfilled';
+
+    // Store a copy of rawUrl and forget its cache entry.  The object that
+    // the storage provider tells about can be changed with change()
+    async function storeWithoutEntry(cacheManager, change = object => object) {
+      cacheManager.upstream[rawUrl] = {body: 'backfilled', headers: {'content-type': 'text/plain'}};
+      await cacheManager.put(rawUrl);
+      await cacheManager.metadataStore.delete(cacheManager.cacheKey(rawUrl));
+      let head = cacheManager.storageProvider.head.bind(cacheManager.storageProvider);
+      cacheManager.storageProvider.head = async key => change(await head(key));
+    }
+
+    it('should rebuild the entry until the original one would have expired', async () => {
+      let cacheManager = createCacheManager();
+      await storeWithoutEntry(cacheManager);
+
+      let entry = await cacheManager.backfillCacheEntry(rawUrl);
+      assume(entry.status).equals('present');
+      assume(entry.size).equals('10');
+      let ttl = await cacheManager.metadataStore.ttl(cacheManager.cacheKey(rawUrl));
+      assume(ttl).is.within(590, 600);
+      assume(counts['backfill']).equals(1);
+    });
+
+    it('should not keep the entry after the object expires', async () => {
+      let cacheManager = createCacheManager();
+      await storeWithoutEntry(cacheManager, object => Object.assign(object, {
+        expires: new Date(Date.now() + 60 * 1000),
+      }));
+
+      assume(await cacheManager.backfillCacheEntry(rawUrl)).exists();
+      let ttl = await cacheManager.metadataStore.ttl(cacheManager.cacheKey(rawUrl));
+      assume(ttl).is.within(50, 60);
+    });
+
+    it('should ignore objects of another url', async () => {
+      let cacheManager = createCacheManager();
+      await storeWithoutEntry(cacheManager, object => {
+        object.metadata['cloud-mirror-upstream-url'] = 'https://example.com/other';
+        return object;
+      });
+
+      assume(await cacheManager.backfillCacheEntry(rawUrl)).is.undefined();
+      assume(await cacheManager.readCacheEntry(rawUrl)).is.undefined();
+    });
+
+    it('should ignore objects which have expired', async () => {
+      let cacheManager = createCacheManager();
+      await storeWithoutEntry(cacheManager, object => Object.assign(object, {
+        expires: new Date(Date.now() - 1000),
+      }));
+
+      assume(await cacheManager.backfillCacheEntry(rawUrl)).is.undefined();
+      assume(await cacheManager.readCacheEntry(rawUrl)).is.undefined();
+      assume(counts['backfill']).is.undefined();
+    });
+
+    it('should skip the content-addressed layout', async () => {
+      let cacheManager = createCacheManager({contentAddressed: true});
+      let heads = 0;
+      await storeWithoutEntry(cacheManager, object => {
+        heads++;
+        return object;
+      });
+
+      assume(await cacheManager.backfillCacheEntry(rawUrl)).is.undefined();
+      assume(heads).equals(0);
+      assume(await cacheManager.readCacheEntry(rawUrl)).is.undefined();
+    });
+  });
+
+  describe('status', () => {
+    let rawUrl = 'https://example.com/status';
+
+    it('should report the cache entry without side effects', async () => {
+      let cacheManager = createCacheManager({quota: 100});
+      cacheManager.upstream[rawUrl] = {body: 'status', headers: {'content-type': 'text/plain'}};
+
+      let status = await cacheManager.getStatus(rawUrl);
+      assume(status.status).equals('absent');
+      assume(status.ttl).is.undefined();
+      assume(status.url).equals(await cacheManager.storageProvider.worldAddress(rawUrl));
+
+      await cacheManager.put(rawUrl);
+      let before = await cacheManager.readUsage();
+      await new Promise(accept => setTimeout(accept, 5));
+      status = await cacheManager.getStatus(rawUrl);
+      assume(status.status).equals('present');
+      assume(status.object.size).equals(6);
+      assume(status.ttl).is.within(599, 600);
+      assume(await cacheManager.readUsage()).deeply.equals(before);
+      assume(counts['redis.cache-hit']).is.undefined();
+
+      // Objects which are stored without a cache entry are not backfilled
+      await cacheManager.metadataStore.delete(cacheManager.cacheKey(rawUrl));
+      status = await cacheManager.getStatus(rawUrl);
+      assume(status.status).equals('absent');
+      assume(await cacheManager.peekCacheEntry(rawUrl)).is.undefined();
+      assume(cacheManager.queued).deeply.equals([]);
+    });
+
+    it('should list the urls with cache entries', async () => {
+      let cacheManager = createCacheManager({quota: 100});
+      let other = 'https://example.com/other';
+      cacheManager.upstream[rawUrl] = {body: 'status', headers: {'content-type': 'text/plain'}};
+      await cacheManager.put(rawUrl);
+      await cacheManager.insertCacheEntry(other, 'pending', 600);
+      assume((await cacheManager.listCachedUrls()).sort()).deeply.equals([other, rawUrl]);
+      assume(await cacheManager.listCachedUrls('https://example.com/s')).deeply.equals([rawUrl]);
+    });
+
+    it('should include the stack of errors', async () => {
+      let cacheManager = createCacheManager();
+      cacheManager.createUrlReadStream = async () => {
+        throw new Error('upstream is broken');
+      };
+      await cacheManager.put(rawUrl);
+      let status = await cacheManager.getStatus(rawUrl);
+      assume(status.status).equals('error');
+      assume(status.stack).includes('upstream is broken');
+      assume(status.attempts).equals(1);
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    let rawUrl = 'https://example.com/stale';
+
+    function createStaleCacheManager(staleWhileRevalidate) {
+      let pattern = /^https:\/\/example\.com\//;
+      pattern.staleWhileRevalidate = staleWhileRevalidate;
+      let cacheManager = createCacheManager({allowedPatterns: [pattern]});
+      cacheManager.upstream[rawUrl] = {body: 'stale', headers: {'content-type': 'text/plain'}};
+      return cacheManager;
+    }
+
+    // Pretend that the copy of rawUrl was made age seconds ago and that its
+    // cache entry has expired
+    async function ageCopy(cacheManager, age) {
+      let sidecar = cacheManager.storageProvider.paths(rawUrl).metadata;
+      let stored = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+      stored.metadata['cloud-mirror-stored'] = new Date(Date.now() - age * 1000).toISOString();
+      fs.writeFileSync(sidecar, JSON.stringify(stored));
+      await cacheManager.metadataStore.delete(cacheManager.cacheKey(rawUrl));
+    }
+
+    it('should redirect to a stale copy while it is refreshed', async () => {
+      let cacheManager = createStaleCacheManager(60);
+      await cacheManager.put(rawUrl);
+      await ageCopy(cacheManager, 600 + 30);
+
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('stale');
+      assume(outcome.url).equals(await cacheManager.storageProvider.worldAddress(rawUrl));
+      assume(outcome.staleFor).is.within(29, 31);
+      assume(outcome.revalidating).is.false();
+      assume(outcome.object.size).equals(5);
+
+      assume(await cacheManager.requestPut(rawUrl)).is.true();
+      outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('stale');
+      assume(outcome.revalidating).is.true();
+
+      await cacheManager.put(rawUrl);
+      outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('present');
+    });
+
+    it('should not redirect to copies past the stale window', async () => {
+      let cacheManager = createStaleCacheManager(60);
+      await cacheManager.put(rawUrl);
+      await ageCopy(cacheManager, 600 + 90);
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('absent');
+    });
+
+    it('should not redirect to stale copies of urls without a window', async () => {
+      let cacheManager = createStaleCacheManager(undefined);
+      await cacheManager.put(rawUrl);
+      await ageCopy(cacheManager, 600 + 30);
+      let outcome = await cacheManager.getUrlForRedirect(rawUrl);
+      assume(outcome.status).equals('absent');
+    });
+  });
+});
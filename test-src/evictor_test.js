@@ -0,0 +1,54 @@
+let assume = require('assume');
+let subject = require('../lib/evictor');
+
+describe('Evicting objects', () => {
+  let counts;
+  let monitor = {
+    count: (key, value) => counts[key] = (counts[key] || 0) + value,
+    measure: () => {},
+  };
+
+  // A cache manager which stores the given urls and sizes, least recently
+  // used first
+  function fakeCacheManager(objects, quota) {
+    let cacheManager = {
+      id: 'fake_region',
+      quota,
+      objects,
+      purged: [],
+      readUsage: async () => cacheManager.objects.map(([url, size], i) => ({url, size, accessed: i})),
+      purge: async rawUrl => {
+        cacheManager.purged.push(rawUrl);
+        cacheManager.objects = cacheManager.objects.filter(x => x[0] !== rawUrl);
+      },
+    };
+    return cacheManager;
+  }
+
+  beforeEach(() => {
+    counts = {};
+  });
+
+  it('should not evict anything within the quota', async () => {
+    let cacheManager = fakeCacheManager([['a', 10], ['b', 20]], 30);
+    let result = await subject.evict({cacheManager, monitor});
+    assume(result).deeply.equals({evicted: 0, evictedBytes: 0});
+    assume(cacheManager.purged).deeply.equals([]);
+  });
+
+  it('should evict the least recently used objects', async () => {
+    let cacheManager = fakeCacheManager([['a', 10], ['b', 20], ['c', 30], ['d', 40], ['e', 50]], 95);
+    let result = await subject.evict({cacheManager, monitor});
+    assume(result).deeply.equals({evicted: 3, evictedBytes: 60});
+    assume(cacheManager.purged).deeply.equals(['a', 'b', 'c']);
+    assume(counts['fake_region.evicted-bytes']).equals(60);
+    assume(counts['fake_region.evicted-objects']).equals(3);
+  });
+
+  it('should stop when there is nothing left to evict', async () => {
+    let cacheManager = fakeCacheManager([['a', 10]], 5);
+    let result = await subject.evict({cacheManager, monitor});
+    assume(result).deeply.equals({evicted: 1, evictedBytes: 10});
+    assume(cacheManager.purged).deeply.equals(['a']);
+  });
+});
@@ -0,0 +1,140 @@
+let assume = require('assume');
+let stream = require('stream');
+let path = require('path');
+let os = require('os');
+let fs = require('fs');
+let memstream = require('memory-streams');
+let subject = require('../lib/filesystem-storage-provider');
+
+describe('Filesystem Storage Provider', () => {
+  let directory = path.join(os.tmpdir(), 'cloud-mirror-test-' + process.pid);
+  let testUrl = 'https://example.com/file.txt';
+  let provider;
+
+  function putString(rawUrl, data) {
+    let body = new stream.PassThrough();
+    body.end(data);
+    return provider.put(rawUrl, body, {'Content-Type': 'text/plain'}, {
+      'cloud-mirror-upstream-url': rawUrl,
+    });
+  }
+
+  async function readString(rawUrl) {
+    let file = await provider.read(rawUrl);
+    if (!file) {
+      return file;
+    }
+    let writer = new memstream.WritableStream();
+    await new Promise((res, rej) => {
+      file.stream.on('error', rej);
+      file.stream.on('end', res);
+      file.stream.pipe(writer);
+    });
+    return {headers: file.headers, body: writer.toString()};
+  }
+
+  beforeEach(() => {
+    provider = new subject.FilesystemStorageProvider({
+      service: 'fs',
+      region: 'local',
+      directory: directory,
+      lifespan: 1,
+      publicUrl: 'http://localhost:5555/v1/',
+      monitor: {},
+    });
+  });
+
+  after(() => {
+    for (let name of fs.readdirSync(provider.directory)) {
+      fs.unlinkSync(path.join(provider.directory, name));
+    }
+    fs.rmdirSync(provider.directory);
+    fs.rmdirSync(directory);
+  });
+
+  it('should generate world addresses', () => {
+    assume(provider.worldAddress(testUrl)).equals(
+      'http://localhost:5555/v1/file/local/' + encodeURIComponent(testUrl));
+  });
+
+  it('should store, read and purge a file', async () => {
+    await putString(testUrl, 'hello, world');
+
+    let file = await readString(testUrl);
+    assume(file.body).equals('hello, world');
+    assume(file.headers).deeply.equals({'Content-Type': 'text/plain'});
+
+    await provider.purge(testUrl);
+    // Purging an absent file is not an error
+    await provider.purge(testUrl);
+    assume(await provider.read(testUrl)).is.undefined();
+  });
+
+  it('should look up stored files', async () => {
+    assume(await provider.head(testUrl)).is.undefined();
+    await putString(testUrl, 'hello, world');
+
+    let object = await provider.head(testUrl);
+    assume(object.size).equals(12);
+    assume(object.metadata).deeply.equals({'cloud-mirror-upstream-url': testUrl});
+    assume(object.expires.getTime()).is.above(Date.now());
+
+    await provider.purge(testUrl);
+    assume(await provider.head(testUrl)).is.undefined();
+  });
+
+  it('should update the metadata of stored files', async () => {
+    await putString(testUrl, 'hello, world');
+    await provider.updateMetadata(testUrl, {}, {'cloud-mirror-sha256': 'abc'});
+    let object = await provider.head(testUrl);
+    assume(object.metadata).deeply.equals({'cloud-mirror-sha256': 'abc'});
+    let file = await readString(testUrl);
+    assume(file.body).equals('hello, world');
+    await provider.purge(testUrl);
+  });
+
+  it('should list stored files a page at a time', async () => {
+    let rawUrls = ['https://example.com/1', 'https://example.com/2', 'https://example.com/3'];
+    for (let rawUrl of rawUrls) {
+      await putString(rawUrl, rawUrl);
+    }
+
+    let first = await provider.list(undefined, 2);
+    assume(first.rawUrls).has.length(2);
+    assume(first.marker).is.ok();
+    let second = await provider.list(first.marker, 2);
+    assume(second.rawUrls).has.length(1);
+    assume(second.marker).is.undefined();
+    assume(first.rawUrls.concat(second.rawUrls).sort()).deeply.equals(rawUrls);
+
+    for (let rawUrl of rawUrls) {
+      await provider.purge(rawUrl);
+    }
+  });
+
+  it('should not leave a partial file when the input fails', async () => {
+    let body = new stream.PassThrough();
+    let put = provider.put(testUrl, body, {'Content-Type': 'text/plain'}, {});
+    body.write('partial');
+    setImmediate(() => body.emit('error', new Error('Request aborted')));
+    try {
+      await put;
+      throw new Error('should have thrown');
+    } catch (err) {
+      assume(err.message).equals('Request aborted');
+    }
+    assume(await provider.read(testUrl)).is.undefined();
+    assume(fs.readdirSync(provider.directory)).deeply.equals([]);
+  });
+
+  it('should only sweep expired files', async () => {
+    await putString(testUrl, 'hello, world');
+    assume(await provider.sweep()).equals(0);
+    assume(await provider.read(testUrl)).is.ok();
+
+    // A negative lifespan puts the cutoff in the future
+    provider.lifespan = -1;
+    assume(await provider.sweep()).equals(1);
+    assume(await provider.read(testUrl)).is.undefined();
+  });
+});
@@ -0,0 +1,78 @@
+let assume = require('assume');
+let stream = require('stream');
+let request = require('request-promise').defaults({
+  simple: false,
+  resolveWithFullResponse: true,
+});
+let Storage = require('@google-cloud/storage').Storage;
+let subject = require('../lib/gcs-storage-provider');
+
+// These tests need a fake GCS server, for example
+// https://github.com/fsouza/fake-gcs-server started with:
+//   fake-gcs-server -scheme http -port 4443 -public-host localhost:4443
+// and GCS_API_ENDPOINT=http://localhost:4443 set in the environment
+let apiEndpoint = process.env.GCS_API_ENDPOINT;
+
+describe('GCS Storage Provider', () => {
+  let bucket = 'cloud-mirror-test-us-central1';
+
+  function createProvider(storage) {
+    return new subject.GCSStorageProvider({
+      service: 'gcs',
+      region: 'us-central1',
+      bucket: bucket,
+      storage: storage,
+      acl: 'publicRead',
+      lifespan: 1,
+      publicUrl: apiEndpoint || 'https://storage.googleapis.com',
+      monitor: {},
+    });
+  }
+
+  it('should generate world addresses', () => {
+    let provider = createProvider({});
+    let testUrl = 'https://example.com/a/b?c=d';
+    assume(provider.id).equals('gcs_us-central1');
+    assume(provider.worldAddress(testUrl)).equals(
+      `https://storage.googleapis.com/${bucket}/${encodeURIComponent(testUrl)}`);
+  });
+
+  describe('against a fake GCS server', () => {
+    let storage;
+    let provider;
+
+    before(async function() {
+      if (!apiEndpoint) {
+        this.skip();
+      }
+      storage = new Storage({apiEndpoint, projectId: 'cloud-mirror-test'});
+      await subject.createGCSBucket(storage, bucket, 'us-central1', 1);
+      provider = createProvider(storage);
+    });
+
+    it('should store, serve and purge an object', async () => {
+      let testUrl = 'https://example.com/file.txt';
+      let body = new stream.PassThrough();
+      body.end('hello, world');
+
+      await provider.put(testUrl, body, {'Content-Type': 'text/plain'}, {
+        'cloud-mirror-upstream-url': testUrl,
+      });
+
+      let [metadata] = await storage.bucket(bucket).file(testUrl).getMetadata();
+      assume(metadata.contentType).equals('text/plain');
+      assume(metadata.metadata['cloud-mirror-upstream-url']).equals(testUrl);
+
+      let response = await request(provider.worldAddress(testUrl));
+      assume(response.statusCode).equals(200);
+      assume(response.body).equals('hello, world');
+
+      await provider.purge(testUrl);
+      // Purging an absent object is not an error
+      await provider.purge(testUrl);
+
+      let [exists] = await storage.bucket(bucket).file(testUrl).exists();
+      assume(exists).is.false();
+    });
+  });
+});
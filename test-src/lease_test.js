@@ -0,0 +1,66 @@
+let assume = require('assume');
+let subject = require('../lib/lease');
+let MemoryMetadataStore = require('../lib/memory-metadata-store').MemoryMetadataStore;
+
+describe('Leases', () => {
+  let store;
+
+  function createLease(ttl = 1000) {
+    return new subject.Lease({store, key: 'lease', ttl});
+  }
+
+  beforeEach(() => {
+    store = new MemoryMetadataStore();
+  });
+
+  it('should only be held by one owner at a time', async () => {
+    let first = createLease();
+    let second = createLease();
+    assume(first.owner).does.not.equal(second.owner);
+
+    assume(await first.acquire()).is.true();
+    assume(await second.acquire()).is.false();
+    assume(await subject.Lease.holder(store, 'lease')).equals(first.owner);
+
+    assume(await first.release()).is.true();
+    assume(await subject.Lease.holder(store, 'lease')).is.undefined();
+    assume(await second.acquire()).is.true();
+  });
+
+  it('should not be renewed or released by another owner', async () => {
+    let first = createLease();
+    let second = createLease();
+    await first.acquire();
+    assume(await second.renew()).is.false();
+    assume(await second.release()).is.false();
+    assume(await subject.Lease.holder(store, 'lease')).equals(first.owner);
+  });
+
+  it('should expire unless it is renewed', async () => {
+    let first = createLease(20);
+    let second = createLease(20);
+    await first.acquire();
+    await new Promise(accept => setTimeout(accept, 30));
+    assume(await second.acquire()).is.true();
+  });
+
+  it('should be renewed while kept alive', async () => {
+    let lease = createLease(30);
+    await lease.acquire();
+    lease.keepAlive();
+    await new Promise(accept => setTimeout(accept, 60));
+    assume(await subject.Lease.holder(store, 'lease')).equals(lease.owner);
+    await lease.release();
+    assume(lease.renewTimer).is.undefined();
+  });
+
+  it('should tell when it was lost', async () => {
+    let lease = createLease(30);
+    await lease.acquire();
+    // Another owner took over after the lease expired
+    await store.set('lease', {owner: 'someone else'});
+    await new Promise(accept => lease.keepAlive(accept));
+    assume(lease.renewTimer).is.undefined();
+    assume(await lease.release()).is.false();
+  });
+});
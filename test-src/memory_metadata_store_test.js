@@ -0,0 +1,67 @@
+let assume = require('assume');
+let subject = require('../lib/memory-metadata-store');
+
+describe('In-memory metadata store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new subject.MemoryMetadataStore();
+  });
+
+  it('should store values as strings', async () => {
+    await store.set('key', {a: 'b', c: 1});
+    assume(await store.get('key')).deeply.equals({a: 'b', c: '1'});
+    assume(await store.get('missing')).is.undefined();
+  });
+
+  it('should replace and delete values', async () => {
+    await store.set('key', {a: 'b', c: 'd'});
+    await store.set('key', {e: 'f'});
+    assume(await store.get('key')).deeply.equals({e: 'f'});
+    await store.delete('key');
+    assume(await store.get('key')).is.undefined();
+    await store.delete('key');
+  });
+
+  it('should not be changed through returned values', async () => {
+    await store.set('key', {a: 'b'});
+    let value = await store.get('key');
+    value.a = 'c';
+    assume(await store.get('key')).deeply.equals({a: 'b'});
+  });
+
+  it('should expire values', async () => {
+    await store.set('short', {a: 'b'}, 0.01);
+    await store.set('forever', {a: 'b'});
+    await new Promise(accept => setTimeout(accept, 20));
+    assume(await store.get('short')).is.undefined();
+    assume(await store.get('forever')).deeply.equals({a: 'b'});
+  });
+
+  it('should tell how long values live for', async () => {
+    await store.set('short', {a: 'b'}, 60);
+    await store.set('forever', {a: 'b'});
+    assume(await store.ttl('short')).is.within(59, 60);
+    assume(await store.ttl('forever')).is.undefined();
+    assume(await store.ttl('missing')).is.undefined();
+  });
+
+  it('should scan keys by prefix', async () => {
+    await store.set('a_1', {x: 'y'});
+    await store.set('a_2', {x: 'y'});
+    await store.set('b_1', {x: 'y'});
+    await store.set('a_3', {x: 'y'}, 0.01);
+    await new Promise(accept => setTimeout(accept, 20));
+    assume((await store.scan('a_')).sort()).deeply.equals(['a_1', 'a_2']);
+  });
+
+  it('should compare and set', async () => {
+    assume(await store.compareAndSet('key', undefined, {v: 1})).is.true();
+    assume(await store.compareAndSet('key', undefined, {v: 2})).is.false();
+    assume(await store.compareAndSet('key', {v: 2}, {v: 3})).is.false();
+    assume(await store.compareAndSet('key', {v: 1}, {v: 3})).is.true();
+    assume(await store.get('key')).deeply.equals({v: '3'});
+    assume(await store.compareAndSet('key', {v: 3}, undefined)).is.true();
+    assume(await store.get('key')).is.undefined();
+  });
+});
@@ -0,0 +1,69 @@
+let assume = require('assume');
+let MemoryQueue = require('../lib/memory-queue').MemoryQueue;
+
+describe('In-memory queue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new MemoryQueue();
+  });
+
+  // Resolve once handler has been called count times
+  function collect(count, handler = async () => {}) {
+    let received = [];
+    let done;
+    let all = new Promise(accept => done = accept);
+    let listener = queue.listener(async msg => {
+      received.push(msg);
+      await handler(msg);
+      if (received.length === count) {
+        done(received);
+      }
+    });
+    return {listener, all};
+  }
+
+  it('should deliver messages to started listeners', async () => {
+    let {listener, all} = collect(2);
+    await queue.insert({id: 'a'});
+    listener.start();
+    await queue.insert({id: 'b'});
+    assume(await all).deeply.equals([{id: 'a'}, {id: 'b'}]);
+  });
+
+  it('should give each listener one message at a time', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    let handler = async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(accept => setTimeout(accept, 5));
+      running--;
+    };
+    let first = collect(2, handler);
+    let second = collect(2, handler);
+    first.listener.start();
+    second.listener.start();
+    for (let id of ['a', 'b', 'c', 'd']) {
+      await queue.insert({id});
+    }
+    await Promise.all([first.all, second.all]);
+    assume(maxRunning).equals(2);
+  });
+
+  it('should drop messages whose handler fails', async () => {
+    let errors = [];
+    let {listener, all} = collect(2, async msg => {
+      if (msg.id === 'a') {
+        throw new Error('failed');
+      }
+    });
+    listener.on('error', (err, errType) => errors.push([err.message, errType]));
+    listener.start();
+    await queue.insert({id: 'a'});
+    await queue.insert({id: 'b'});
+    assume((await all).map(x => x.id)).deeply.equals(['a', 'b']);
+    assume(errors).deeply.equals([['failed', 'handler']]);
+    assume(queue.messages).has.length(0);
+  });
+});
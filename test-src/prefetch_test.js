@@ -0,0 +1,129 @@
+let assume = require('assume');
+let http = require('http');
+let subject = require('../lib/prefetch');
+let MemoryMetadataStore = require('../lib/memory-metadata-store').MemoryMetadataStore;
+
+describe('Prefetching', () => {
+  let server;
+  let base;
+  let store;
+  let monitor = {count: () => {}};
+
+  // Upstream which has everything other than /missing, and /large is larger
+  // than the maximum size
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/missing') {
+        res.writeHead(404);
+      } else if (req.url === '/large') {
+        res.writeHead(200, {'content-length': '1000'});
+      } else {
+        res.writeHead(200, {'content-length': '10'});
+      }
+      res.end();
+    });
+    await new Promise(accept => server.listen(0, 'localhost', accept));
+    base = `http://localhost:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    store = new MemoryMetadataStore();
+  });
+
+  // A cache manager with the given statuses of urls, which become pending
+  // when they're requested unless they're in backoff
+  function fakeCacheManager(region, statuses = {}, backoff = []) {
+    let cacheManager = {
+      id: `fake_${region}`,
+      storageProvider: {service: 'fake', region},
+      statuses,
+      notFound: [],
+      getStatus: async url => ({url: 'world/' + url, status: cacheManager.statuses[url] || 'absent'}),
+      requestPut: async url => {
+        if (backoff.includes(url)) {
+          return false;
+        }
+        cacheManager.statuses[url] = 'pending';
+        return true;
+      },
+      insertNotFound: async (url, statusCode) => {
+        cacheManager.notFound.push([url, statusCode]);
+        cacheManager.statuses[url] = 'not-found';
+        return true;
+      },
+    };
+    return cacheManager;
+  }
+
+  function run(urls, cacheManagers) {
+    return subject.prefetch({
+      urls,
+      cacheManagers,
+      store,
+      allowedPatterns: [new RegExp(`^${base}/`)],
+      maxSize: 100,
+      ensureSSL: false,
+      concurrency: 2,
+      ttl: 60,
+      monitor,
+    });
+  }
+
+  it('should request copies of urls which are not stored yet', async () => {
+    let east = fakeCacheManager('east', {[`${base}/stored`]: 'present'});
+    let west = fakeCacheManager('west', {}, [`${base}/stored`]);
+
+    let result = await run([`${base}/new`, `${base}/stored`, `${base}/new`], [east, west]);
+    assume(result.batchId).is.a('string');
+    assume(result.results).deeply.equals([{
+      url: `${base}/new`,
+      regions: [
+        {service: 'fake', region: 'east', outcome: 'requested'},
+        {service: 'fake', region: 'west', outcome: 'requested'},
+      ],
+    }, {
+      url: `${base}/stored`,
+      regions: [
+        {service: 'fake', region: 'east', outcome: 'present'},
+        {service: 'fake', region: 'west', outcome: 'skipped'},
+      ],
+    }]);
+  });
+
+  it('should reject urls which may not be copied', async () => {
+    let east = fakeCacheManager('east');
+    let result = await run([`${base}/missing`, `${base}/large`, 'https://example.com/other'], [east]);
+
+    assume(result.results.map(x => x.err)).deeply.equals(['BadHTTPStatus', 'TooLarge', 'InvalidUrl']);
+    assume(result.results.every(x => !x.regions)).is.true();
+    assume(east.notFound).deeply.equals([[`${base}/missing`, 404]]);
+  });
+
+  it('should report the progress of a batch', async () => {
+    let east = fakeCacheManager('east');
+    let west = fakeCacheManager('west');
+    let result = await run([`${base}/a`, `${base}/b`, `${base}/missing`], [east, west]);
+
+    let progress = await subject.batchProgress({batchId: result.batchId, cacheManagers: [east, west], store});
+    assume(progress.total).equals(4);
+    assume(progress.counts).deeply.equals({absent: 0, pending: 4, present: 0, error: 0, 'not-found': 0});
+    assume(progress.done).is.false();
+
+    east.statuses[`${base}/a`] = 'present';
+    east.statuses[`${base}/b`] = 'present';
+    west.statuses[`${base}/a`] = 'present';
+    west.statuses[`${base}/b`] = 'error';
+    progress = await subject.batchProgress({batchId: result.batchId, cacheManagers: [east, west], store});
+    assume(progress.counts).deeply.equals({absent: 0, pending: 0, present: 3, error: 1, 'not-found': 0});
+    assume(progress.done).is.true();
+  });
+
+  it('should not know unknown batches', async () => {
+    let progress = await subject.batchProgress({batchId: 'unknown', cacheManagers: [], store});
+    assume(progress).is.undefined();
+  });
+});
@@ -0,0 +1,83 @@
+let assume = require('assume');
+let subject = require('../lib/rebuild-cache');
+let MemoryMetadataStore = require('../lib/memory-metadata-store').MemoryMetadataStore;
+
+describe('Rebuilding the cache', () => {
+  let store;
+  let counts;
+  let monitor = {count: (key, value) => counts[key] = (counts[key] || 0) + value};
+
+  // A cache manager with a storage provider which lists the given urls in
+  // pages of two and fails listing the page after failAfter
+  function fakeCacheManager(rawUrls, cached = [], failAfter) {
+    let cacheManager = {
+      id: 'fake_region',
+      backfilled: [],
+      listed: [],
+      storageProvider: {
+        list: async (marker, limit) => {
+          let start = marker ? parseInt(marker, 10) : 0;
+          if (failAfter !== undefined && start >= failAfter) {
+            throw new Error('listing failed');
+          }
+          cacheManager.listed.push(start);
+          let end = start + limit;
+          return {
+            rawUrls: rawUrls.slice(start, end),
+            marker: end < rawUrls.length ? String(end) : undefined,
+          };
+        },
+      },
+      peekCacheEntry: async rawUrl => cached.includes(rawUrl) ? {status: 'present'} : undefined,
+      readCacheEntry: async rawUrl => {
+        throw new Error('rebuilding must not count cache hits and misses');
+      },
+      backfillCacheEntry: async rawUrl => {
+        cacheManager.backfilled.push(rawUrl);
+        return rawUrl.endsWith('gone') ? undefined : {status: 'present'};
+      },
+    };
+    return cacheManager;
+  }
+
+  function rebuild(cacheManager) {
+    return subject.rebuildCache({cacheManager, store, monitor, rate: 1000, pageSize: 2});
+  }
+
+  beforeEach(() => {
+    store = new MemoryMetadataStore();
+    counts = {};
+  });
+
+  it('should backfill objects without a cache entry', async () => {
+    let cacheManager = fakeCacheManager(['a', 'b', 'c-gone', 'd', 'e'], ['b']);
+    let result = await rebuild(cacheManager);
+    assume(result).deeply.equals({listed: 5, restored: 3});
+    assume(cacheManager.backfilled).deeply.equals(['a', 'c-gone', 'd', 'e']);
+    assume(await store.scan('')).deeply.equals([]);
+    assume(counts).deeply.equals({
+      'fake_region.rebuild-started': 1,
+      'fake_region.rebuild-listed': 5,
+      'fake_region.rebuild-restored': 3,
+      'fake_region.rebuild-finished': 1,
+    });
+  });
+
+  it('should resume after an interruption', async () => {
+    let rawUrls = ['a', 'b', 'c', 'd', 'e'];
+    try {
+      await rebuild(fakeCacheManager(rawUrls, [], 4));
+      throw new Error('should have thrown');
+    } catch (err) {
+      assume(err.message).equals('listing failed');
+    }
+    assume(await store.get('fake_region_rebuild_marker')).deeply.equals({marker: '4'});
+
+    let cacheManager = fakeCacheManager(rawUrls);
+    let result = await rebuild(cacheManager);
+    assume(cacheManager.listed).deeply.equals([4]);
+    assume(result).deeply.equals({listed: 1, restored: 1});
+    assume(await store.scan('')).deeply.equals([]);
+    assume(counts['fake_region.rebuild-resumed']).equals(1);
+  });
+});
@@ -0,0 +1,150 @@
+let assume = require('assume');
+let fs = require('fs');
+let os = require('os');
+let path = require('path');
+let http = require('http');
+let subject = require('../lib/region-selector');
+
+describe('Region selection', () => {
+  function fakeCacheManager(service, region) {
+    return {id: `${service}_${region}`, storageProvider: {service, region}};
+  }
+
+  let east = fakeCacheManager('s3', 'us-east-1');
+  let west = fakeCacheManager('s3', 'us-west-2');
+  let gcs = fakeCacheManager('gcs', 'us-central1');
+  let cacheManagers = [east, west, gcs];
+
+  let awsRanges = {
+    prefixes: [
+      {ip_prefix: '52.0.0.0/11', region: 'us-east-1', service: 'AMAZON'},
+      {ip_prefix: '52.16.0.0/15', region: 'us-west-2', service: 'EC2'},
+      {ip_prefix: '54.0.0.0/8', region: 'eu-west-1', service: 'AMAZON'},
+    ],
+    ipv6_prefixes: [
+      {ipv6_prefix: '2600:1f14::/35', region: 'us-west-2', service: 'AMAZON'},
+    ],
+  };
+  let gcpRanges = {
+    prefixes: [
+      {ipv4Prefix: '34.64.0.0/10', service: 'Google Cloud', scope: 'us-central1'},
+      {ipv6Prefix: '2600:1900::/35', service: 'Google Cloud', scope: 'us-central1'},
+    ],
+  };
+
+  function selector(options = {}) {
+    let ranges = [].concat(
+      subject.parseIpRanges(awsRanges, 'aws').map(x => Object.assign(x, {service: 's3'})),
+      subject.parseIpRanges(gcpRanges, 'gcp').map(x => Object.assign(x, {service: 'gcs'})),
+    );
+    return new subject.RegionSelector(Object.assign({
+      cacheManagers,
+      ranges,
+      hintHeader: 'X-Cloud-Mirror-Region',
+      defaultRegion: 's3/us-east-1',
+    }, options));
+  }
+
+  it('should parse addresses', () => {
+    assume(subject.parseAddress('10.1.2.3')).deeply.equals(Buffer.from([10, 1, 2, 3]));
+    assume(subject.parseAddress('::ffff:10.1.2.3')).deeply.equals(Buffer.from([10, 1, 2, 3]));
+    assume(subject.parseAddress('2600:1f14::1').toString('hex')).equals('26001f14000000000000000000000001');
+    assume(subject.parseAddress('::1').toString('hex')).equals('00000000000000000000000000000001');
+    assume(subject.parseAddress('64:ff9b::10.1.2.3').toString('hex')).equals('0064ff9b00000000000000000a010203');
+    assume(subject.parseAddress('not-an-address')).is.undefined();
+  });
+
+  it('should prefer the hint header', () => {
+    let selection = selector().select({headers: {'x-cloud-mirror-region': 'gcs/us-central1'}, ip: '52.16.0.1'});
+    assume(selection.backend).equals(gcs);
+    assume(selection.reason).equals('hint');
+
+    selection = selector().select({headers: {'x-cloud-mirror-region': 'us-west-2'}});
+    assume(selection.backend).equals(west);
+  });
+
+  it('should ignore unknown hints', () => {
+    let selection = selector().select({headers: {'x-cloud-mirror-region': 'azure/nowhere'}, ip: '34.64.0.1'});
+    assume(selection.backend).equals(gcs);
+    assume(selection.reason).equals('ip-range');
+  });
+
+  it('should choose the most specific ip range', () => {
+    let selection = selector().select({headers: {}, ip: '52.16.1.1'});
+    assume(selection.backend).equals(west);
+    assume(selection.reason).equals('ip-range');
+
+    selection = selector().select({headers: {}, ip: '::ffff:52.1.0.1'});
+    assume(selection.backend).equals(east);
+
+    selection = selector().select({headers: {}, ip: '2600:1f14:1000::1'});
+    assume(selection.backend).equals(west);
+  });
+
+  it('should fall back to the default region', () => {
+    // 54.0.0.0/8 is in a region that we don't have
+    let selection = selector().select({headers: {}, ip: '54.1.1.1'});
+    assume(selection.backend).equals(east);
+    assume(selection.reason).equals('default');
+
+    selection = selector({defaultRegion: undefined}).select({headers: {}, ip: '10.0.0.1'});
+    assume(selection).is.undefined();
+  });
+
+  it('should refuse an unknown default region', () => {
+    assume(() => selector({defaultRegion: 's3/nowhere'})).throws(/not configured/);
+  });
+
+  it('should read ip range files', () => {
+    let file = path.join(os.tmpdir(), `cloud-mirror-ip-ranges-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(gcpRanges));
+    try {
+      let ranges = subject.readIpRanges([
+        {format: 'gcp', file, service: 'gcs'},
+        {format: 'aws', service: 's3'},
+      ]);
+      assume(ranges).deeply.equals([
+        {cidr: '34.64.0.0/10', region: 'us-central1', service: 'gcs'},
+        {cidr: '2600:1900::/35', region: 'us-central1', service: 'gcs'},
+      ]);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  describe('behind a proxy', () => {
+    let load = require('../lib/main');
+
+    // Run the server component with an api which answers with the address
+    // that it sees for the client
+    async function requestIp(trustProxy) {
+      let server = await load('server', {
+        profile: 'test',
+        process: 'test',
+        cfg: {server: {port: 0, env: 'development', forceSSL: false, trustProxy}},
+        api: (req, res) => res.end(req.ip),
+        monitor: {},
+      });
+      try {
+        return await new Promise((accept, reject) => {
+          http.get({
+            port: server.address().port,
+            path: '/v1/ip',
+            headers: {'x-forwarded-for': '52.16.1.1'},
+          }, res => {
+            let body = '';
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => accept(body));
+          }).on('error', reject);
+        });
+      } finally {
+        await server.terminate();
+      }
+    }
+
+    it('should see the forwarded address of the client when trusting the proxy', async () => {
+      assume(await requestIp(true)).equals('52.16.1.1');
+      assume(await requestIp(false)).does.not.equal('52.16.1.1');
+    });
+  });
+});
@@ -107,7 +107,9 @@ describe('Integration Tests', () => {
 
   beforeEach(async () => {
     sandbox = sinon.sandbox.create();
-    redis = await main('redis', {process: 'redis', profile: 'test'});
+    // The test profile keeps metadata in redis, which we look at directly
+    let metadataStore = await main('metadataStore', {process: 'metadataStore', profile: 'test'});
+    redis = metadataStore.redis;
     await redis.flushdb();
     await emptyBucket(cfg.aws, cacheManager.storageProvider.bucket);
     queue.start();
@@ -0,0 +1,286 @@
+let assume = require('assume');
+let aws = require('aws-sdk');
+let stream = require('stream');
+let _ = require('lodash');
+let subject = require('../lib/s3-storage-provider');
+
+describe('S3 Storage Provider', () => {
+  let testUrl = 'https://example.com/a/b?c=d';
+
+  function createProvider(config = {}) {
+    return new subject.S3StorageProvider(Object.assign({
+      service: 's3',
+      region: 'us-west-2',
+      bucket: 'cloud-mirror-test-us-west-2',
+      partSize: 1024 * 1024 * 5,
+      queueSize: 1,
+      s3: {},
+      acl: 'public-read',
+      lifespan: 1,
+      monitor: {},
+    }, config));
+  }
+
+  describe('world addresses', () => {
+    it('should use virtual-host addresses in S3 regions', async () => {
+      let provider = createProvider();
+      assume(await provider.worldAddress(testUrl)).equals(
+        'https://cloud-mirror-test-us-west-2.s3-us-west-2.amazonaws.com/' +
+        encodeURIComponent(testUrl));
+    });
+
+    it('should use the global domain for us-east-1', async () => {
+      let provider = createProvider({region: 'us-east-1', bucket: 'b-us-east-1'});
+      assume(await provider.worldAddress(testUrl)).equals(
+        'https://b-us-east-1.s3.amazonaws.com/' + encodeURIComponent(testUrl));
+    });
+
+    it('should use path-style addresses of a public url', async () => {
+      let provider = createProvider({
+        region: 'mdc1',
+        bucket: 'cloud-mirror.test',
+        pathStyle: true,
+        publicUrl: 'http://minio.example.com:9000/',
+      });
+      assume(await provider.worldAddress(testUrl)).equals(
+        'http://minio.example.com:9000/cloud-mirror.test/' + encodeURIComponent(testUrl));
+    });
+
+    it('should keep the path of a public url', async () => {
+      let provider = createProvider({
+        region: 'mdc1',
+        bucket: 'b',
+        pathStyle: true,
+        publicUrl: 'https://proxy.example.com/minio',
+      });
+      assume(await provider.worldAddress(testUrl)).equals(
+        'https://proxy.example.com/minio/b/' + encodeURIComponent(testUrl));
+    });
+
+    it('should use virtual-host addresses of a public url', async () => {
+      let provider = createProvider({
+        region: 'mdc1',
+        bucket: 'b',
+        publicUrl: 'https://ceph.example.com',
+      });
+      assume(await provider.worldAddress(testUrl)).equals(
+        'https://b.ceph.example.com/' + encodeURIComponent(testUrl));
+    });
+  });
+
+  describe('private buckets', () => {
+    it('should upload with the configured acl', async () => {
+      let uploadRequest;
+      let provider = createProvider({
+        acl: 'private',
+        s3: {
+          upload: request => {
+            uploadRequest = request;
+            return {send: cb => cb(null, {}), abort: () => {}};
+          },
+        },
+      });
+      let body = new stream.PassThrough();
+      body.end('hello, world');
+      await provider.put(testUrl, body, {'Content-Type': 'text/plain'}, {});
+      assume(uploadRequest.ACL).equals('private');
+    });
+
+    it('should redirect to presigned urls', async () => {
+      let provider = createProvider({
+        acl: 'private',
+        presignedUrlExpiry: 300,
+        s3: new aws.S3({
+          accessKeyId: 'AKIDEXAMPLE',
+          secretAccessKey: 'secret',
+          region: 'us-west-2',
+          signatureVersion: 'v4',
+        }),
+      });
+      let signedUrl = await provider.worldAddress(testUrl);
+      assume(signedUrl).includes('X-Amz-Signature=');
+      assume(signedUrl).includes('X-Amz-Expires=300');
+      assume(signedUrl).includes('cloud-mirror-test-us-west-2');
+    });
+  });
+
+  describe('head', () => {
+    function headProvider(result) {
+      return createProvider({
+        lifespan: 2,
+        s3: {
+          headObject: params => ({
+            promise: async () => {
+              if (!result) {
+                let err = new Error('NotFound');
+                err.code = 'NotFound';
+                err.statusCode = 404;
+                throw err;
+              }
+              return result;
+            },
+          }),
+        },
+      });
+    }
+
+    it('should return undefined for missing objects', async () => {
+      assume(await headProvider().head(testUrl)).is.undefined();
+    });
+
+    it('should use the expiration header', async () => {
+      let object = await headProvider({
+        ContentLength: 12,
+        LastModified: new Date('2017-01-01T00:00:00Z'),
+        Expiration: 'expiry-date="Wed, 04 Jan 2017 00:00:00 GMT", rule-id="cloud-mirror"',
+        Metadata: {'cloud-mirror-upstream-url': testUrl},
+      }).head(testUrl);
+      assume(object.size).equals(12);
+      assume(object.metadata['cloud-mirror-upstream-url']).equals(testUrl);
+      assume(object.expires.toISOString()).equals('2017-01-04T00:00:00.000Z');
+    });
+
+    it('should fall back to the lifespan', async () => {
+      let object = await headProvider({
+        ContentLength: 12,
+        LastModified: new Date('2017-01-01T00:00:00Z'),
+        Metadata: {},
+      }).head(testUrl);
+      assume(object.expires.toISOString()).equals('2017-01-03T00:00:00.000Z');
+    });
+  });
+
+  describe('updateMetadata', () => {
+    // Record the requests of each S3 method and return an empty result
+    function recordingS3(calls) {
+      let s3 = {};
+      for (let method of [
+        'copyObject',
+        'createMultipartUpload',
+        'uploadPartCopy',
+        'completeMultipartUpload',
+      ]) {
+        s3[method] = params => ({
+          promise: async () => {
+            calls.push({method, params});
+            return {UploadId: 'upload', CopyPartResult: {ETag: `"${calls.length}"`}};
+          },
+        });
+      }
+      return s3;
+    }
+
+    let headers = {
+      'Content-Type': 'text/plain',
+      'Content-MD5': 'ignored',
+    };
+
+    it('should copy objects in place', async () => {
+      let calls = [];
+      let provider = createProvider({s3: recordingS3(calls)});
+      await provider.updateMetadata(testUrl, _.defaults({'Content-Length': '12'}, headers), {a: 'b'});
+      assume(calls).has.length(1);
+      assume(calls[0].method).equals('copyObject');
+      assume(calls[0].params).deeply.equals({
+        Bucket: 'cloud-mirror-test-us-west-2',
+        Key: testUrl,
+        ACL: 'public-read',
+        Metadata: {a: 'b'},
+        ContentType: 'text/plain',
+        CopySource: 'cloud-mirror-test-us-west-2/' + encodeURIComponent(testUrl),
+        MetadataDirective: 'REPLACE',
+      });
+    });
+
+    it('should copy large objects in parts', async () => {
+      let calls = [];
+      let provider = createProvider({s3: recordingS3(calls), partSize: 4 * 1024 * 1024 * 1024});
+      let size = 6 * 1024 * 1024 * 1024;
+      await provider.updateMetadata(testUrl, _.defaults({'Content-Length': String(size)}, headers), {});
+      assume(calls.map(x => x.method)).deeply.equals([
+        'createMultipartUpload',
+        'uploadPartCopy',
+        'uploadPartCopy',
+        'completeMultipartUpload',
+      ]);
+      assume(calls[2].params.CopySourceRange).equals(`bytes=${4 * 1024 * 1024 * 1024}-${size - 1}`);
+      assume(calls[3].params.MultipartUpload.Parts).deeply.equals([
+        {PartNumber: 1, ETag: '"2"'},
+        {PartNumber: 2, ETag: '"3"'},
+      ]);
+    });
+  });
+
+  describe('createS3Bucket', () => {
+    // Create an object which looks enough like an aws.S3 object for
+    // createS3Bucket and which fails putBucketLifecycleConfiguration calls
+    // with the given error codes in order
+    function fakeS3(lifecycleErrors) {
+      let calls = [];
+      let s3 = {
+        calls,
+        createBucket: params => ({
+          promise: async () => calls.push({createBucket: params}),
+        }),
+        putBucketLifecycleConfiguration: params => ({
+          promise: async () => {
+            calls.push({putBucketLifecycleConfiguration: JSON.parse(JSON.stringify(params))});
+            let code = lifecycleErrors.shift();
+            if (code) {
+              let err = new Error(code);
+              err.code = code;
+              throw err;
+            }
+          },
+        }),
+      };
+      return s3;
+    }
+
+    it('should set an expiration and abort incomplete uploads', async () => {
+      let s3 = fakeS3([]);
+      await subject.createS3Bucket(s3, 'cloud-mirror-test', 'us-east-1', 'public-read', 2);
+      assume(s3.calls).has.length(2);
+      let rule = s3.calls[1].putBucketLifecycleConfiguration.LifecycleConfiguration.Rules[0];
+      assume(rule.Expiration.Days).equals(2);
+      assume(rule.AbortIncompleteMultipartUpload).is.ok();
+    });
+
+    it('should retry with only an expiration', async () => {
+      let s3 = fakeS3(['MalformedXML']);
+      await subject.createS3Bucket(s3, 'cloud-mirror-test', 'us-east-1', 'public-read', 1);
+      assume(s3.calls).has.length(3);
+      let rule = s3.calls[2].putBucketLifecycleConfiguration.LifecycleConfiguration.Rules[0];
+      assume(rule.Expiration.Days).equals(1);
+      assume(rule.AbortIncompleteMultipartUpload).is.undefined();
+    });
+
+    it('should tolerate stores without lifecycle support', async () => {
+      let s3 = fakeS3(['NotImplemented', 'NotImplemented']);
+      await subject.createS3Bucket(s3, 'cloud-mirror-test', 'us-east-1', 'public-read', 1);
+      assume(s3.calls).has.length(3);
+    });
+
+    it('should not tolerate other errors', async () => {
+      let s3 = fakeS3(['AccessDenied']);
+      try {
+        await subject.createS3Bucket(s3, 'cloud-mirror-test', 'us-east-1', 'public-read', 1);
+        throw new Error('should have thrown');
+      } catch (err) {
+        assume(err.code).equals('AccessDenied');
+      }
+    });
+
+    it('should only allow periods in path-style bucket names', async () => {
+      try {
+        await subject.createS3Bucket(fakeS3([]), 'cloud-mirror.test', 'us-east-1', 'public-read', 1);
+        throw new Error('should have thrown');
+      } catch (err) {
+        assume(err.message).equals('Bucket cloud-mirror.test is not valid');
+      }
+      await subject.createS3Bucket(fakeS3([]), 'cloud-mirror.test', 'us-east-1', 'public-read', 1, {
+        pathStyle: true,
+      });
+    });
+  });
+});
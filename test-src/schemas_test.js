@@ -0,0 +1,62 @@
+let assume = require('assume');
+let path = require('path');
+let validator = require('taskcluster-lib-validate');
+
+describe('Schemas', () => {
+  let validate;
+  let prefix = 'http://schemas.taskcluster.net/cloud-mirror/v1/';
+
+  before(async () => {
+    validate = await validator({
+      folder: path.join(__dirname, '..', 'lib', 'schemas'),
+      constants: require('../lib/schemas/constants'),
+      prefix: 'cloud-mirror/v1/',
+      publish: false,
+    });
+  });
+
+  let present = {
+    service: 's3',
+    region: 'us-west-2',
+    url: 'https://example.com/file',
+    status: 'present',
+    worldAddress: 'https://bucket.s3.amazonaws.com/https%3A%2F%2Fexample.com%2Ffile',
+    ttl: 86000.5,
+    object: {
+      size: 10,
+      contentType: 'text/plain',
+      storedAt: new Date().toISOString(),
+    },
+  };
+
+  it('should accept statuses', () => {
+    assume(validate(present, prefix + 'status-response.json')).is.falsy();
+    assume(validate({
+      url: present.url,
+      regions: [present, {
+        service: 's3',
+        region: 'us-east-1',
+        url: present.url,
+        status: 'error',
+        worldAddress: present.worldAddress,
+        stack: 'Error: upstream is broken',
+        attempts: 2,
+        nextRetry: new Date().toISOString(),
+        retriesExhausted: false,
+      }],
+    }, prefix + 'all-regions-status-response.json')).is.falsy();
+  });
+
+  it('should limit the size of prefetch batches', () => {
+    let urls = n => Array.from({length: n}, (x, i) => `https://example.com/${i}`);
+    let request = n => ({urls: urls(n), regions: 'all'});
+    assume(validate(request(5000), prefix + 'prefetch-request.json')).is.falsy();
+    assume(validate(request(5001), prefix + 'prefetch-request.json')).is.truthy();
+  });
+
+  it('should reject unknown statuses', () => {
+    let status = Object.assign({}, present, {status: 'unknown'});
+    assume(validate(status, prefix + 'status-response.json')).is.truthy();
+    assume(validate({url: present.url, regions: [status]}, prefix + 'all-regions-status-response.json')).is.truthy();
+  });
+});
@@ -1,5 +1,6 @@
 let subject = require('../lib/validate-url');
 let assume = require('assume');
+let http = require('http');
 
 describe('url following and validation', () => {
   it('should follow Urls and validate them', async () => {
@@ -47,4 +48,70 @@ describe('url following and validation', () => {
     } catch (err) { }
   });
 
+  describe('size limits', () => {
+    let server;
+    let base;
+
+    before(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/redirect/large') {
+          res.writeHead(302, {location: '/large'});
+        } else {
+          res.writeHead(200, {'content-length': '100'});
+        }
+        res.end();
+      });
+      await new Promise(accept => server.listen(0, 'localhost', accept));
+      base = `http://localhost:${server.address().port}`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    function pattern(path, maxSize) {
+      let regexp = new RegExp('^' + base + path);
+      regexp.maxSize = maxSize;
+      return regexp;
+    }
+
+    it('should reject resources larger than the maximum size', async () => {
+      try {
+        await subject({
+          url: base + '/large',
+          allowedPatterns: [pattern('/')],
+          maxSize: 99,
+          ensureSSL: false,
+        });
+        throw new Error('should have thrown');
+      } catch (err) {
+        assume(err.code).equals('TooLarge');
+        assume(err.statusCode).equals(413);
+      }
+    });
+
+    it('should use the smallest limit in the redirect chain', async () => {
+      try {
+        await subject({
+          url: base + '/redirect/large',
+          allowedPatterns: [pattern('/redirect/', 50), pattern('/', 1000)],
+          ensureSSL: false,
+        });
+        throw new Error('should have thrown');
+      } catch (err) {
+        assume(err.code).equals('TooLarge');
+      }
+    });
+
+    it('should return the limit of resources within it', async () => {
+      let result = await subject({
+        url: base + '/large',
+        allowedPatterns: [pattern('/', 100)],
+        maxSize: 1000,
+        ensureSSL: false,
+      });
+      assume(result.statusCode).equals(200);
+      assume(result.maxSize).equals(100);
+    });
+  });
 });
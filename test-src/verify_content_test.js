@@ -0,0 +1,50 @@
+let assume = require('assume');
+let crypto = require('crypto');
+let subject = require('../lib/cache-manager');
+
+describe('Verifying mirrored content', () => {
+  let body = 'hello, world';
+  let md5 = crypto.createHash('md5').update(body).digest();
+  let received = {bytes: body.length, md5: md5.toString('hex')};
+
+  function mismatch(headers) {
+    try {
+      subject.verifyContent(headers, received);
+    } catch (err) {
+      assume(err.code).equals('ContentMismatch');
+      return err.message;
+    }
+    return undefined;
+  }
+
+  it('should accept content without any headers to check', () => {
+    assume(mismatch({})).is.undefined();
+  });
+
+  it('should accept matching content', () => {
+    assume(mismatch({
+      'content-length': String(body.length),
+      'content-md5': md5.toString('base64'),
+      etag: `"${md5.toString('hex').toUpperCase()}"`,
+    })).is.undefined();
+  });
+
+  it('should detect truncated content', () => {
+    assume(mismatch({'content-length': '100'})).equals(
+      'received 12 bytes instead of Content-Length 100');
+  });
+
+  it('should detect a wrong Content-MD5', () => {
+    assume(mismatch({'content-md5': 'rL0Y20zC+Fzt72VPzMSk2A=='})).includes('Content-MD5');
+  });
+
+  it('should detect a wrong simple ETag', () => {
+    assume(mismatch({etag: '"d41d8cd98f00b204e9800998ecf8427e"'})).includes('ETag');
+  });
+
+  it('should ignore ETags which are not MD5 sums', () => {
+    assume(mismatch({etag: '"d41d8cd98f00b204e9800998ecf8427e-2"'})).is.undefined();
+    assume(mismatch({etag: 'W/"d41d8cd98f00b204e9800998ecf8427e"'})).is.undefined();
+    assume(mismatch({etag: '"5e1a-4bd2"'})).is.undefined();
+  });
+});